@@ -0,0 +1,26 @@
+import { appendFile } from "node:fs/promises";
+
+/**
+ * Append-only JSONL audit log: one line per daemon request (one per URL for
+ * fetchMany). Writes are serialized so lines never interleave; failures are
+ * reported once and otherwise ignored so auditing never breaks a request.
+ */
+export function createAuditLog(file) {
+  let pending = Promise.resolve();
+  let warned = false;
+
+  return {
+    file,
+    write(record) {
+      const line = JSON.stringify({ ts: new Date().toISOString(), ...record }) + "\n";
+      pending = pending
+        .then(() => appendFile(file, line, { mode: 0o600 }))
+        .catch((err) => {
+          if (warned) return;
+          warned = true;
+          console.error(`Audit log write failed (${file}): ${err instanceof Error ? err.message : String(err)}`);
+        });
+      return pending;
+    },
+  };
+}
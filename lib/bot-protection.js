@@ -1,3 +1,5 @@
+import { WebBrowseError } from "./errors.js";
+
 const DEFAULT_MARKERS = [
   "making sure you're not a bot",
   "protected by anubis",
@@ -85,7 +87,9 @@ export async function waitForBotProtectionToClear(
   const stillBlocked = await isLikelyBotProtectionPage(page, markers);
   if (stillBlocked) {
     const title = await page.title().catch(() => "");
-    throw new Error(`Bot protection challenge did not clear (title="${title}")`);
+    const error = new WebBrowseError("BOT_BLOCKED", `Bot protection challenge did not clear (title="${title}")`);
+    error.botProtection = { detected: true, cleared: false, waitedMs: Date.now() - start };
+    throw error;
   }
 
   return { detected: true, cleared: true, waitedMs: Date.now() - start };
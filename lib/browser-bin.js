@@ -2,6 +2,8 @@ import { accessSync, constants, existsSync } from "node:fs";
 import { join, delimiter } from "node:path";
 import { platform } from "node:os";
 
+import { WebBrowseError } from "./errors.js";
+
 const PLATFORM = platform();
 const IS_MACOS = PLATFORM === "darwin";
 const IS_WINDOWS = PLATFORM === "win32";
@@ -125,7 +127,8 @@ export function resolveBrowserBin(preferredBin = null, env = process.env) {
   }
 
   const allTried = [...overrides, ...osCandidates.filter(Boolean)];
-  throw new Error(
+  throw new WebBrowseError(
+    "BROWSER_LAUNCH",
     `No supported browser binary found on ${osName}. ` +
       "Set WEB_BROWSE_BROWSER_BIN or BRAVE_BIN, or pass --browser-bin <path>. " +
       `Tried: ${allTried.join(", ")}`,
@@ -1,8 +1,9 @@
-import { spawn } from "node:child_process";
+import { spawn, execFile } from "node:child_process";
 import { createServer as createNetServer } from "node:net";
 import { platform } from "node:os";
 
 import { resolveBrowserBin } from "./browser-bin.js";
+import { WebBrowseError } from "./errors.js";
 
 const PLATFORM = platform();
 const IS_MACOS = PLATFORM === "darwin";
@@ -158,7 +159,7 @@ export async function startBrowserForCdp(preferredPort, profileDir, browserBin =
 
     killBrowserProcess(proc);
 
-    throw new Error(`Failed to start browser with CDP on port ${port} (bin=${bin})`);
+    throw new WebBrowseError("BROWSER_LAUNCH", `Failed to start browser with CDP on port ${port} (bin=${bin})`);
   }
 
   return { proc, port, bin };
@@ -188,6 +189,34 @@ export function killBrowserProcess(proc) {
   }
 }
 
+/**
+ * Sum the RSS (in KB) of all processes in a process group from `ps -eo pgid=,rss=` output.
+ */
+export function sumProcessGroupRssKb(psOutput, pgid) {
+  let total = 0;
+  for (const line of String(psOutput || "").split("\n")) {
+    const [group, rss] = line.trim().split(/\s+/).map((value) => parseInt(value, 10));
+    if (group === pgid && Number.isFinite(rss)) total += rss;
+  }
+  return total;
+}
+
+/**
+ * Resident memory of a browser we spawned (the whole process group on Unix,
+ * so renderer/GPU helpers count too). Returns null when it can't be measured.
+ */
+export async function getBrowserRssBytes(pid) {
+  if (!pid || IS_WINDOWS) return null;
+
+  const output = await new Promise((resolve) => {
+    execFile("ps", ["-eo", "pgid=,rss="], { timeout: 5000 }, (err, stdout) => resolve(err ? null : stdout));
+  });
+  if (output === null) return null;
+
+  const kb = sumProcessGroupRssKb(output, pid);
+  return kb > 0 ? kb * 1024 : null;
+}
+
 export function isLikelyUsableBrowserCdp(versionPayload) {
   if (!versionPayload || typeof versionPayload !== "object") return false;
 
@@ -0,0 +1,152 @@
+// Default chunk size: about the 2000 characters the default truncation used to keep.
+export const DEFAULT_CHUNK_TOKENS = 500;
+
+const CJK_PATTERN = /[⺀-鿿가-힯豈-﫿]/g;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Rough token count for budgeting: ~4 characters per token for Latin text,
+ * one token per CJK character. Good enough to size chunks, not for billing.
+ */
+export function estimateTokens(text) {
+  const value = String(text || "");
+  const cjk = value.match(CJK_PATTERN)?.length || 0;
+  return Math.ceil((value.length - cjk) / 4) + cjk;
+}
+
+/**
+ * Split markdown into blocks at blank lines, keeping fenced code blocks whole.
+ */
+export function splitMarkdownBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+
+  for (const line of String(markdown || "").split("\n")) {
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    if (!inFence && line.trim() === "") {
+      if (current.length > 0) blocks.push(current.join("\n"));
+      current = [];
+      continue;
+    }
+    current.push(line);
+  }
+  if (current.length > 0) blocks.push(current.join("\n"));
+  return blocks;
+}
+
+// Break a block larger than the budget at line boundaries, and overlong lines at maxChars.
+function splitOversizedBlock(block, maxTokens) {
+  const maxChars = maxTokens * 4;
+  const pieces = [];
+  let current = "";
+
+  const lines = block.split("\n").flatMap((line) => {
+    if (estimateTokens(line) <= maxTokens) return [line];
+    const parts = [];
+    for (let i = 0; i < line.length; i += maxChars) parts.push(line.slice(i, i + maxChars));
+    return parts;
+  });
+
+  for (const line of lines) {
+    const next = current ? `${current}\n${line}` : line;
+    if (current && estimateTokens(next) > maxTokens) {
+      pieces.push(current);
+      current = line;
+    } else {
+      current = next;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+const isHeading = (block) => /^#{1,6}\s/.test(block);
+
+/**
+ * Split markdown into chunks of at most maxTokens (estimated), breaking only
+ * between paragraphs/blocks where possible. A heading is never left dangling
+ * at the end of a chunk, and a new section starts a new chunk once the
+ * current one is half full. Returns [{ text, offset, tokens }] where offset is
+ * the chunk's character position in the blank-line-normalized markdown.
+ */
+export function splitIntoChunks(markdown, maxTokens = DEFAULT_CHUNK_TOKENS) {
+  const budget = Math.max(1, Math.floor(maxTokens));
+  const blocks = splitMarkdownBlocks(markdown).flatMap((block) =>
+    estimateTokens(block) > budget ? splitOversizedBlock(block, budget) : [block],
+  );
+
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let offset = 0;
+
+  const flush = () => {
+    // Carry trailing headings over to the next chunk, next to their content.
+    const carried = [];
+    while (current.length > 1 && isHeading(current[current.length - 1])) carried.unshift(current.pop());
+
+    const text = current.join("\n\n");
+    chunks.push({ text, offset, tokens: estimateTokens(text) });
+    offset += text.length + 2;
+    current = carried;
+    tokens = estimateTokens(carried.join("\n\n"));
+  };
+
+  for (const block of blocks) {
+    const size = estimateTokens(block);
+    const full = current.length > 0 && tokens + size > budget;
+    const sectionBreak = isHeading(block) && current.length > 0 && tokens >= budget / 2;
+    if (full || sectionBreak) flush();
+
+    current.push(block);
+    tokens = estimateTokens(current.join("\n\n"));
+  }
+  if (current.length > 0 || chunks.length === 0) {
+    const text = current.join("\n\n");
+    chunks.push({ text, offset, tokens: estimateTokens(text) });
+  }
+
+  return chunks;
+}
+
+/**
+ * The marker appended to a chunk, telling the reader how to get the next one
+ * (with --max-tokens when the chunk size is not the default).
+ */
+export function chunkMarker(index, total, { maxTokens = DEFAULT_CHUNK_TOKENS } = {}) {
+  if (index >= total) return `[chunk ${index} of ${total}; end of page]`;
+  const sizeFlag = maxTokens === DEFAULT_CHUNK_TOKENS ? "" : `--max-tokens ${maxTokens} `;
+  return `[... truncated (chunk ${index} of ${total}); next chunk: ${sizeFlag}--chunk ${index + 1}, whole page: --full ...]`;
+}
+
+/**
+ * Select one chunk of content by 1-based index (chunk) or by character
+ * offset (the chunk containing it), with the paging marker appended when the
+ * page has more than one chunk. Returns { content, chunk, total,
+ * maxTokens, offset, error }; error is set when the chunk does not exist.
+ */
+export function paginateContent(content, { maxTokens = DEFAULT_CHUNK_TOKENS, chunk = null, offset = null } = {}) {
+  const chunks = splitIntoChunks(content, maxTokens);
+  const total = chunks.length;
+
+  let index = chunk || 1;
+  if (offset != null && chunk == null) {
+    index = chunks.findLastIndex((candidate) => candidate.offset <= offset) + 1 || 1;
+  }
+
+  if (index > total) {
+    return {
+      content: "",
+      chunk: index,
+      total,
+      maxTokens,
+      offset: null,
+      error: `chunk ${index} does not exist (the page has ${total} chunk${total === 1 ? "" : "s"})`,
+    };
+  }
+
+  const selected = chunks[index - 1];
+  const marker = total > 1 ? `\n\n${chunkMarker(index, total, { maxTokens })}` : "";
+  return { content: selected.text + marker, chunk: index, total, maxTokens, offset: selected.offset, error: null };
+}
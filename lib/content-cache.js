@@ -0,0 +1,152 @@
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+import { canonicalizeUrl } from "./url.js";
+
+export const DEFAULT_CONTENT_CACHE_TTL_MS = 30 * 60 * 1000;
+export const DEFAULT_CONTENT_CACHE_MAX_ENTRIES = 500;
+
+export function getContentCacheDir(env = process.env) {
+  return env.WEB_BROWSE_CONTENT_CACHE_DIR || join(homedir(), ".cache", "web-browse", "content");
+}
+
+/**
+ * Cache key for a page: the canonical URL plus every option that changes the
+ * extracted content (e.g. truncation, browser profile).
+ */
+export function contentCacheKey(url, options = {}) {
+  const sorted = Object.fromEntries(Object.entries(options).sort(([a], [b]) => a.localeCompare(b)));
+  return createHash("sha256")
+    .update(JSON.stringify({ url: canonicalizeUrl(url), options: sorted }))
+    .digest("hex");
+}
+
+/**
+ * On-disk cache of extracted page content, one JSON file per key.
+ * get() returns { entry, fresh } where fresh means younger than ttlMs since the
+ * last fetch or revalidation; stale entries keep their ETag/Last-Modified so
+ * callers can revalidate them with a conditional request. set() keeps at most
+ * maxEntries pages, dropping the ones least recently stored or revalidated.
+ */
+export function createContentCache({
+  dir = getContentCacheDir(),
+  ttlMs = DEFAULT_CONTENT_CACHE_TTL_MS,
+  maxEntries = DEFAULT_CONTENT_CACHE_MAX_ENTRIES,
+} = {}) {
+  const fileFor = (url, options) => join(dir, `${contentCacheKey(url, options)}.json`);
+  const listFiles = () => (existsSync(dir) ? readdirSync(dir).filter((file) => file.endsWith(".json")) : []);
+
+  const write = (file, entry) => {
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+    writeFileSync(file, JSON.stringify(entry), { mode: 0o600 });
+  };
+
+  const evict = () => {
+    const files = listFiles();
+    if (files.length <= maxEntries) return;
+
+    const byAge = files
+      .map((file) => ({ file, mtimeMs: statSync(join(dir, file)).mtimeMs }))
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { file } of byAge.slice(0, files.length - Math.max(1, maxEntries))) {
+      rmSync(join(dir, file), { force: true });
+    }
+  };
+
+  return {
+    dir,
+    ttlMs,
+    get(url, options = {}) {
+      const file = fileFor(url, options);
+      if (!existsSync(file)) return null;
+
+      try {
+        const entry = JSON.parse(readFileSync(file, "utf-8"));
+        return { entry, fresh: Date.now() - entry.validatedAt < ttlMs };
+      } catch {
+        return null;
+      }
+    },
+    set(url, options, result) {
+      const now = Date.now();
+      try {
+        write(fileFor(url, options), {
+          url,
+          options,
+          storedAt: now,
+          validatedAt: now,
+          validators: result.validators || null,
+          result: {
+            url: result.url,
+            finalUrl: result.finalUrl,
+            title: result.title,
+            content: result.content,
+            outline: result.outline || null,
+            links: result.links || null,
+            metadata: result.metadata || null,
+          },
+        });
+        evict();
+      } catch {
+        // ignore (the cache is best-effort)
+      }
+    },
+    // Mark an entry as confirmed unchanged (e.g. after a 304).
+    touch(url, options, entry) {
+      try {
+        write(fileFor(url, options), { ...entry, validatedAt: Date.now() });
+      } catch {
+        // ignore
+      }
+    },
+    stats() {
+      const files = listFiles();
+      let bytes = 0;
+      let oldest = null;
+      let newest = null;
+
+      for (const file of files) {
+        const stats = statSync(join(dir, file));
+        bytes += stats.size;
+        if (!oldest || stats.mtime < oldest) oldest = stats.mtime;
+        if (!newest || stats.mtime > newest) newest = stats.mtime;
+      }
+
+      return {
+        dir,
+        entries: files.length,
+        bytes,
+        ttlSec: Math.round(ttlMs / 1000),
+        oldest: oldest ? oldest.toISOString() : null,
+        newest: newest ? newest.toISOString() : null,
+      };
+    },
+    clear() {
+      const files = listFiles();
+      for (const file of files) rmSync(join(dir, file), { force: true });
+      return files.length;
+    },
+  };
+}
+
+/**
+ * Read the ETag / Last-Modified validators from response headers. Accepts a
+ * fetch Headers object or Playwright's plain lowercase header map.
+ */
+export function getResponseValidators(headers) {
+  if (!headers) return null;
+  const read = (name) => (typeof headers.get === "function" ? headers.get(name) : headers[name]) || null;
+
+  const etag = read("etag");
+  const lastModified = read("last-modified");
+  return etag || lastModified ? { etag, lastModified } : null;
+}
+
+export function conditionalRequestHeaders(validators) {
+  const headers = {};
+  if (validators?.etag) headers["If-None-Match"] = validators.etag;
+  if (validators?.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+  return headers;
+}
@@ -0,0 +1,72 @@
+import { randomBytes, timingSafeEqual } from "node:crypto";
+import { chmodSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+
+export const DAEMON_TOKEN_HEADER = "authorization";
+
+/**
+ * The token lives in a per-user directory rather than the shared tmpdir, where
+ * another user could pre-create (and own) the file.
+ */
+export function getDaemonTokenFile() {
+  return join(homedir(), ".cache", "web-browse", "daemon.token");
+}
+
+export function generateDaemonToken() {
+  return randomBytes(32).toString("hex");
+}
+
+/**
+ * Write the daemon secret readable by the current user only (0600, in a
+ * 0700 directory). chmod runs even if the file already existed with looser
+ * permissions. Throws if the file cannot be written.
+ */
+export function writeDaemonToken(tokenFile, token) {
+  mkdirSync(dirname(tokenFile), { recursive: true, mode: 0o700 });
+  rmSync(tokenFile, { force: true });
+  writeFileSync(tokenFile, token, { mode: 0o600 });
+  try {
+    chmodSync(tokenFile, 0o600);
+    chmodSync(dirname(tokenFile), 0o700);
+  } catch {
+    // ignore (e.g. Windows, where ACLs apply instead)
+  }
+}
+
+export function readDaemonToken(tokenFile) {
+  if (!tokenFile) return null;
+
+  try {
+    if (!existsSync(tokenFile)) return null;
+    const token = readFileSync(tokenFile, "utf-8").trim();
+    return token || null;
+  } catch {
+    return null;
+  }
+}
+
+export function removeDaemonToken(tokenFile) {
+  try {
+    rmSync(tokenFile, { force: true });
+  } catch {
+    // ignore
+  }
+}
+
+export function daemonAuthHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Check the request's "Authorization: Bearer <token>" header in constant time.
+ */
+export function isAuthorizedRequest(req, token) {
+  const header = String(req.headers?.[DAEMON_TOKEN_HEADER] || "");
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match || !token) return false;
+
+  const provided = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
@@ -1,16 +1,69 @@
 import { spawn } from "node:child_process";
 import { existsSync, readFileSync } from "node:fs";
+import { tmpdir, userInfo, platform } from "node:os";
+import { join } from "node:path";
+import { fetch as undiciFetch, Agent } from "undici";
 
-export async function checkDaemonHealth({ daemonUrl, timeoutMs = 600 } = {}) {
+import { readDaemonToken, daemonAuthHeaders } from "./daemon-auth.js";
+import { describeDaemonMismatch } from "./daemon-config.js";
+import { WebBrowseError, classifyError } from "./errors.js";
+
+const IS_WINDOWS = platform() === "win32";
+
+/**
+ * Resolve the --daemon-socket / WEB_BROWSE_DAEMON_SOCKET setting to a Unix
+ * socket path or Windows named pipe. "1", "true" or "auto" pick a per-user default.
+ */
+export function resolveDaemonSocketPath(value) {
+  if (!value || ["0", "false", "no"].includes(String(value).toLowerCase())) return null;
+  if (!["1", "true", "yes", "auto"].includes(String(value).toLowerCase())) return String(value);
+
+  let user = "user";
+  try {
+    user = userInfo().username.replace(/[^A-Za-z0-9_.-]/g, "_") || user;
+  } catch {
+    // ignore
+  }
+
+  return IS_WINDOWS ? `\\\\.\\pipe\\web-browse-daemon-${user}` : join(tmpdir(), `web-browse-daemon-${user}.sock`);
+}
+
+const socketAgents = new Map();
+
+/**
+ * Request the daemon over TCP (daemonUrl) or a Unix socket / named pipe
+ * (daemonSocket), sending the bearer token from daemonTokenFile.
+ */
+function daemonFetch({ daemonUrl, daemonSocket = null, daemonTokenFile = null }, path, init = {}) {
+  const headers = { ...(init.headers || {}), ...daemonAuthHeaders(readDaemonToken(daemonTokenFile)) };
+
+  if (!daemonSocket) return fetch(`${daemonUrl}${path}`, { ...init, headers });
+
+  if (!socketAgents.has(daemonSocket)) {
+    socketAgents.set(daemonSocket, new Agent({ connect: { socketPath: daemonSocket } }));
+  }
+  return undiciFetch(`http://localhost${path}`, { ...init, headers, dispatcher: socketAgents.get(daemonSocket) });
+}
+
+const TOKEN_MISMATCH = "daemon rejected the request (token mismatch; try --daemon restart)";
+
+/**
+ * The daemon's /health payload, { status: "unauthorized" } when a daemon is
+ * listening but rejects this client's token, or null when none answers.
+ */
+export async function checkDaemonHealth({ daemonUrl, daemonSocket = null, daemonTokenFile = null, timeoutMs = 600 } = {}) {
   if (!daemonUrl) throw new Error("checkDaemonHealth requires daemonUrl");
 
   try {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), timeoutMs);
 
-    const response = await fetch(`${daemonUrl}/health`, { signal: controller.signal });
+    const response = await daemonFetch({ daemonUrl, daemonSocket, daemonTokenFile }, "/health", {
+      signal: controller.signal,
+    });
     clearTimeout(timeout);
 
+    if (response.status === 401) return { status: "unauthorized" };
     if (!response.ok) return null;
     const payload = await response.json().catch(() => null);
     return payload && payload.status === "ok" ? payload : null;
@@ -44,6 +97,8 @@ export async function startDaemonInBackground({
   scriptPath,
   daemonUrl,
   daemonPidFile,
+  daemonSocket = null,
+  daemonTokenFile = null,
   forwardedArgs = [],
   env = process.env,
 } = {}) {
@@ -67,31 +122,77 @@ export async function startDaemonInBackground({
 
   child.unref();
 
-  // Wait up to ~5s for daemon to become healthy.
+  // Wait up to ~5s for daemon to become healthy. Another client may have
+  // started one at the same time; whichever binds the address serves both.
+  let health = null;
   for (let i = 0; i < 20; i += 1) {
     await new Promise((r) => setTimeout(r, 250));
-    const health = await checkDaemonHealth({ daemonUrl, timeoutMs: 800 });
-    if (health) return health;
+    health = await checkDaemonHealth({ daemonUrl, daemonSocket, daemonTokenFile, timeoutMs: 800 });
+    if (health && health.status !== "unauthorized") return health;
   }
 
-  throw new Error(`daemon failed to start on ${daemonUrl}`);
+  if (health) throw new Error(TOKEN_MISMATCH);
+  throw new WebBrowseError("BROWSER_LAUNCH", `daemon failed to start on ${daemonSocket || daemonUrl}`);
 }
 
+/**
+ * Return the running daemon's health, starting one if there is none. A daemon
+ * whose version or configHash differs from expected is drained (in-flight
+ * requests finish), stopped and started again. stop and start default to
+ * stopDaemon and startDaemonInBackground.
+ */
 export async function ensureDaemonRunning({
   scriptPath,
   daemonUrl,
   daemonPidFile,
+  daemonSocket = null,
+  daemonTokenFile = null,
   forwardedArgs = [],
   env = process.env,
+  expected = null,
+  stop = stopDaemon,
+  start = startDaemonInBackground,
 } = {}) {
-  const health = await checkDaemonHealth({ daemonUrl });
-  if (health) return health;
+  const health = await checkDaemonHealth({ daemonUrl, daemonSocket, daemonTokenFile });
+  // A daemon is running; starting another would only fail to bind.
+  if (health?.status === "unauthorized") throw new Error(TOKEN_MISMATCH);
+
+  const mismatch = describeDaemonMismatch(health, expected || {});
+  if (health && !mismatch) return health;
+
+  if (mismatch) {
+    console.error(`Restarting web-browse daemon: ${mismatch}`);
+    await waitForDaemonIdle({ daemonUrl, daemonSocket, daemonTokenFile });
+    await stop({ daemonUrl, daemonPidFile, daemonSocket, daemonTokenFile });
+  }
 
   // If a stale PID file exists, ignore it; health check is the source of truth.
-  return await startDaemonInBackground({ scriptPath, daemonUrl, daemonPidFile, forwardedArgs, env });
+  return await start({
+    scriptPath,
+    daemonUrl,
+    daemonPidFile,
+    daemonSocket,
+    daemonTokenFile,
+    forwardedArgs,
+    env,
+  });
+}
+
+/**
+ * Wait (up to timeoutMs) for commands other clients are running on the daemon
+ * to finish, so restarting it does not cut them off.
+ */
+export async function waitForDaemonIdle({ daemonUrl, daemonSocket = null, daemonTokenFile = null, timeoutMs = 30000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const health = await checkDaemonHealth({ daemonUrl, daemonSocket, daemonTokenFile, timeoutMs: 800 });
+    if (!health || !health.queue?.inFlight) return true;
+    await new Promise((r) => setTimeout(r, 250));
+  }
+  return false;
 }
 
-export async function stopDaemon({ daemonUrl, daemonPidFile } = {}) {
+export async function stopDaemon({ daemonUrl, daemonPidFile, daemonSocket = null, daemonTokenFile = null } = {}) {
   if (!daemonUrl) throw new Error("stopDaemon requires daemonUrl");
   if (!daemonPidFile) throw new Error("stopDaemon requires daemonPidFile");
 
@@ -109,26 +210,186 @@ export async function stopDaemon({ daemonUrl, daemonPidFile } = {}) {
   // Wait briefly for shutdown.
   for (let i = 0; i < 20; i += 1) {
     await new Promise((r) => setTimeout(r, 200));
-    if (!(await checkDaemonHealth({ daemonUrl, timeoutMs: 500 }))) return { status: "stopped" };
+    if (!(await checkDaemonHealth({ daemonUrl, daemonSocket, daemonTokenFile, timeoutMs: 500 }))) {
+      return { status: "stopped" };
+    }
   }
 
   return { status: "stopping", pid };
 }
 
-export async function sendDaemonCommand({ daemonUrl, command, payload } = {}) {
+// Rebuild a command failure from the daemon's { error, code } response.
+function commandError(message, code) {
+  return new WebBrowseError(code || classifyError(message), message);
+}
+
+export async function sendDaemonCommand({
+  daemonUrl,
+  daemonSocket = null,
+  daemonTokenFile = null,
+  command,
+  payload,
+} = {}) {
   if (!daemonUrl) throw new Error("sendDaemonCommand requires daemonUrl");
   if (!command) throw new Error("sendDaemonCommand requires command");
 
-  const response = await fetch(`${daemonUrl}/command`, {
+  const response = await daemonFetch({ daemonUrl, daemonSocket, daemonTokenFile }, "/command", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ command, payload }),
     signal: AbortSignal.timeout(120000),
   });
 
+  if (response.status === 401) {
+    throw new Error(TOKEN_MISMATCH);
+  }
+
+  const json = await response.json().catch(() => null);
+  if (!json || typeof json !== "object") throw new Error("invalid daemon response");
+  if (!json.success) throw commandError(json.error || "daemon command failed", json.code);
+
+  return json.data;
+}
+
+/**
+ * Run a streaming command (fetchMany with payload.stream) and call
+ * onResult(result, index) for each NDJSON line as the daemon sends it.
+ * Resolves to all results in input order once the daemon reports done.
+ * A long stream is fine; it only times out when the daemon sends nothing for
+ * idleTimeoutMs (the timer restarts on every line).
+ */
+export async function streamDaemonCommand({
+  daemonUrl,
+  daemonSocket = null,
+  daemonTokenFile = null,
+  command,
+  payload,
+  onResult = () => {},
+  idleTimeoutMs = 120000,
+} = {}) {
+  if (!daemonUrl) throw new Error("streamDaemonCommand requires daemonUrl");
+  if (!command) throw new Error("streamDaemonCommand requires command");
+
+  const controller = new AbortController();
+  let idleTimer = null;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      controller.abort(new DOMException(`daemon sent nothing for ${idleTimeoutMs}ms`, "TimeoutError"));
+    }, idleTimeoutMs);
+  };
+  resetIdleTimer();
+
+  try {
+    const response = await daemonFetch({ daemonUrl, daemonSocket, daemonTokenFile }, "/command", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ command, payload: { ...payload, stream: true } }),
+      signal: controller.signal,
+    });
+
+    if (response.status === 401) {
+      throw new Error(TOKEN_MISMATCH);
+    }
+
+    // Errors before the first result (and daemons without streaming) answer with plain JSON.
+    if (!String(response.headers.get("content-type") || "").includes("ndjson")) {
+      const json = await response.json().catch(() => null);
+      if (!json || typeof json !== "object") throw new Error("invalid daemon response");
+      if (!json.success) throw commandError(json.error || "daemon command failed", json.code);
+      json.data.forEach((result, index) => onResult(result, index));
+      return json.data;
+    }
+
+    const results = [];
+    const decoder = new TextDecoder();
+    let buffered = "";
+
+    const handleLine = (line) => {
+      if (!line.trim()) return false;
+      resetIdleTimer();
+      const message = JSON.parse(line);
+      if (message.done) {
+        if (message.error) throw commandError(message.error, message.code);
+        return true;
+      }
+      results[message.index] = message.result;
+      onResult(message.result, message.index);
+      return false;
+    };
+
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split("\n");
+      buffered = lines.pop();
+      for (const line of lines) {
+        if (handleLine(line)) return results;
+      }
+    }
+
+    if (handleLine(buffered)) return results;
+    throw new Error("daemon stream ended early");
+  } finally {
+    clearTimeout(idleTimer);
+  }
+}
+
+export async function cancelDaemonRequest({ daemonUrl, daemonSocket = null, daemonTokenFile = null, id } = {}) {
+  if (!daemonUrl) throw new Error("cancelDaemonRequest requires daemonUrl");
+  if (!id) throw new Error("cancelDaemonRequest requires id");
+
+  const response = await daemonFetch({ daemonUrl, daemonSocket, daemonTokenFile }, "/cancel", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id }),
+    signal: AbortSignal.timeout(5000),
+  });
+
+  const json = await response.json().catch(() => null);
+  if (!json || typeof json !== "object") throw new Error("invalid daemon response");
+  if (!json.success) throw new Error(json.error || "cancel failed");
+
+  return json.data;
+}
+
+export async function fetchDaemonMetrics({ daemonUrl, daemonSocket = null, daemonTokenFile = null } = {}) {
+  if (!daemonUrl) throw new Error("fetchDaemonMetrics requires daemonUrl");
+
+  const response = await daemonFetch({ daemonUrl, daemonSocket, daemonTokenFile }, "/metrics", {
+    signal: AbortSignal.timeout(5000),
+  });
+  if (!response.ok) throw new Error(`daemon metrics request failed (HTTP ${response.status})`);
+  return await response.text();
+}
+
+export async function listDaemonProfiles({ daemonUrl, daemonSocket = null, daemonTokenFile = null } = {}) {
+  if (!daemonUrl) throw new Error("listDaemonProfiles requires daemonUrl");
+
+  const response = await daemonFetch({ daemonUrl, daemonSocket, daemonTokenFile }, "/profiles", {
+    signal: AbortSignal.timeout(5000),
+  });
+
+  const json = await response.json().catch(() => null);
+  if (!json || typeof json !== "object") throw new Error("invalid daemon response");
+  if (!json.success) throw new Error(json.error || "listing profiles failed");
+
+  return json.data;
+}
+
+export async function removeDaemonProfile({ daemonUrl, daemonSocket = null, daemonTokenFile = null, name } = {}) {
+  if (!daemonUrl) throw new Error("removeDaemonProfile requires daemonUrl");
+  if (!name) throw new Error("removeDaemonProfile requires name");
+
+  const response = await daemonFetch({ daemonUrl, daemonSocket, daemonTokenFile }, "/profiles/rm", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name }),
+    signal: AbortSignal.timeout(10000),
+  });
+
   const json = await response.json().catch(() => null);
   if (!json || typeof json !== "object") throw new Error("invalid daemon response");
-  if (!json.success) throw new Error(json.error || "daemon command failed");
+  if (!json.success) throw new Error(json.error || "removing profile failed");
 
   return json.data;
 }
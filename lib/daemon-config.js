@@ -0,0 +1,45 @@
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+
+let packageVersion;
+
+export function getPackageVersion() {
+  if (packageVersion === undefined) {
+    try {
+      const pkg = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf-8"));
+      packageVersion = pkg.version || null;
+    } catch {
+      packageVersion = null;
+    }
+  }
+  return packageVersion;
+}
+
+/**
+ * Hash the settings that decide which browser a daemon drives (binary, CDP
+ * profile, socket), so a client can tell whether a running daemon matches
+ * what it would launch itself. Tuning flags such as --max-pages are left out:
+ * a later call without them must not restart a daemon started with them.
+ */
+export function computeDaemonConfigHash({ browserBin = null, profileDir = null, socket = null } = {}) {
+  return createHash("sha256")
+    .update(JSON.stringify({ browserBin, profileDir, socket }))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Explain why a running daemon (its /health payload) does not match the
+ * expected version/config, or return null when it does.
+ */
+export function describeDaemonMismatch(health, { version = null, configHash = null } = {}) {
+  if (!health) return null;
+
+  if (version && health.version !== version) {
+    return `daemon runs version ${health.version || "unknown"}, client is ${version}`;
+  }
+  if (configHash && health.configHash !== configHash) {
+    return "daemon was started with different settings (browser binary, profile or socket)";
+  }
+  return null;
+}
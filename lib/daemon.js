@@ -1,18 +1,172 @@
 import { createServer as createHttpServer } from "node:http";
+import { connect } from "node:net";
 import { spawn } from "node:child_process";
-import { writeFileSync, rmSync } from "node:fs";
+import { writeFileSync, rmSync, chmodSync, existsSync } from "node:fs";
 import { platform } from "node:os";
 
+import { createSemaphore } from "./pool.js";
+import { killBrowserProcess, getBrowserRssBytes } from "./cdp.js";
+import { createDaemonMetrics } from "./metrics.js";
+import { createAuditLog } from "./audit-log.js";
+import {
+  DEFAULT_PROFILE,
+  ensureProfilesDir,
+  getProfilesDir,
+  getProfileStatePath,
+  listProfiles,
+  normalizeProfileName,
+  removeProfile,
+} from "./profiles.js";
+import { generateDaemonToken, writeDaemonToken, removeDaemonToken, isAuthorizedRequest } from "./daemon-auth.js";
+import { ERROR_CODES, classifyError } from "./errors.js";
+import { createFetchStrategyMemory, normalizeFetchMode, smartFetchUrl } from "./smart-fetch.js";
+
 const IS_WINDOWS = platform() === "win32";
 
+// Inject stealth scripts to avoid bot detection (e.g., Google checks chrome.runtime)
+function stealthInitScript() {
+  // Chrome extensions always define chrome.runtime - headless doesn't by default
+  if (!window.chrome) window.chrome = {};
+  if (!window.chrome.runtime) window.chrome.runtime = { id: undefined };
+}
+
+/**
+ * Wrap the shared browser context for one request: newPage() waits for a slot
+ * in the daemon-wide page semaphore, and pages() only lists this request's
+ * tabs, so cleanupContextPages() never touches other in-flight requests.
+ * Once the request is cancelled, newPage() rejects instead of opening a tab.
+ */
+function createRequestContext(context, pageSlots, request) {
+  const releases = new Map();
+
+  return {
+    async newPage() {
+      request.waitingPages += 1;
+      let release;
+      try {
+        release = await pageSlots.acquire(request.controller.signal);
+      } finally {
+        request.waitingPages -= 1;
+      }
+
+      let page;
+      try {
+        page = await context.newPage();
+      } catch (err) {
+        release();
+        throw err;
+      }
+
+      request.pages.add(page);
+      releases.set(page, release);
+      page.once("close", () => {
+        request.pages.delete(page);
+        releases.delete(page);
+        release();
+      });
+      return page;
+    },
+    pages() {
+      return [...request.pages];
+    },
+    cookies(urls) {
+      return context.cookies(urls);
+    },
+    // Free slots of pages whose "close" event never fires (e.g. the browser died).
+    releaseAll() {
+      for (const release of releases.values()) release();
+      releases.clear();
+      request.pages.clear();
+    },
+  };
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitForProcessExit(pid, timeoutMs = 5000) {
+  const start = Date.now();
+  while (pid && isProcessAlive(pid) && Date.now() - start < timeoutMs) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+/**
+ * Abort a request: reject its pending tab acquisitions and close its tabs,
+ * which aborts any navigation running in them.
+ */
+function cancelRequest(request, reason) {
+  if (request.controller.signal.aborted) return;
+  request.controller.abort(new Error(reason));
+  for (const page of request.pages) page.close().catch(() => {});
+}
+
+/**
+ * Per-engine summary of a search for the audit log: each engine that was
+ * tried, its outcome ("results", "empty" or "error") and how many of the
+ * returned results it contributed (merged results count for every engine
+ * that found them).
+ */
+function describeSearchEngines(attempts, results) {
+  return attempts.map(({ engine, outcome }) => ({
+    engine,
+    outcome,
+    results: results.filter((result) => (result.engines || [result.engine]).includes(engine)).length,
+  }));
+}
+
+function describeRequest(request) {
+  let state = request.pages.size === 0 && request.waitingPages > 0 ? "queued" : "running";
+  if (request.controller.signal.aborted) state = "cancelling";
+
+  return {
+    id: request.id,
+    command: request.command,
+    profile: request.profile,
+    state,
+    openPages: request.pages.size,
+    waitingPages: request.waitingPages,
+    ageMs: Date.now() - request.startedAt,
+  };
+}
+
 /**
  * Start the persistent web-browse daemon.
  * Keeps a headless browser session alive and exposes a tiny HTTP API.
+ * Commands run concurrently; at most maxPages tabs are open at once across
+ * all requests, and requests wait for a free tab slot.
+ *
+ * The browser is supervised: if it exits or the CDP connection drops, it is
+ * relaunched on the same profile and commands that were in flight are retried once.
+ * It is also recycled between commands after recycleAfterRequests commands or
+ * once its RSS exceeds recycleRssBytes, and the daemon exits after
+ * idleTimeoutMs without requests (0 disables each policy).
+ *
+ * Each command gets an id (reported by /health); it is cancelled, closing its
+ * tabs, when its client disconnects or on POST /cancel {"id": "..."}.
+ * GET /metrics serves Prometheus metrics; with auditLogFile set, every request
+ * is also appended to that JSONL file.
+ *
+ * Requests run in the persistent cdpProfile unless payload.profile names a
+ * profile: each gets its own isolated browser context, whose cookies and
+ * localStorage are saved to profilesDir/<name>.json after every command.
+ * GET /profiles lists them and POST /profiles/rm {"name": "..."} deletes one.
+ *
+ * Resolves to { server, shutdown } once the server is set up; shutdown()
+ * closes the browser and calls exit (process.exit by default).
  */
 export async function runWebBrowseDaemon({
   daemonPort,
   daemonUrl,
   daemonPidFile,
+  daemonTokenFile,
+  daemonSocket = null,
   preferredCdpPort,
   cdpProfile,
   browserBinArg,
@@ -26,45 +180,457 @@ export async function runWebBrowseDaemon({
   cleanupContextPages,
   fetchOpts,
   spawnedBrowserProcessGroupPids,
+  maxPages = 4,
+  maxRelaunchAttempts = 3,
+  idleTimeoutMs = 0,
+  recycleAfterRequests = 0,
+  recycleRssBytes = 0,
+  version = null,
+  configHash = null,
+  auditLogFile = null,
+  profilesDir = getProfilesDir(),
+  exit = (code) => process.exit(code),
 }) {
-  console.error(`Starting web-browse daemon on ${daemonUrl} (headless browser + CDP)...`);
+  console.error(`Starting web-browse daemon on ${daemonSocket || daemonUrl} (headless browser + CDP)...`);
 
-  const browserProcess = await startBraveForCdp(preferredCdpPort, cdpProfile, browserBinArg);
-  console.error(`Browser started for daemon (pid=${browserProcess.proc.pid}, cdpPort=${browserProcess.port})`);
+  let shuttingDown = false;
+  let session = null;
+  let recovering = null;
+  const supervisor = { restarts: 0, recycles: 0, lastCrash: null, lastRecycle: null, lastRssBytes: null };
 
-  const browser = await chromium.connectOverCDP(`http://127.0.0.1:${browserProcess.port}`);
-  const context = browser.contexts()[0] ?? await browser.newContext();
+  const retireSession = async (old) => {
+    old.retired = true;
 
-  // Inject stealth scripts to avoid bot detection (e.g., Google checks chrome.runtime)
-  await context.addInitScript(() => {
-    // Chrome extensions always define chrome.runtime - headless doesn't by default
-    if (!window.chrome) window.chrome = {};
-    if (!window.chrome.runtime) window.chrome.runtime = { id: undefined };
-  });
+    try {
+      await old.browser.close();
+    } catch {
+      // ignore
+    }
 
-  // Keep one blank tab open so the browser doesn't exit when we close work tabs.
-  const keepAlivePage = context.pages()[0] ?? await context.newPage();
-  try {
-    if (keepAlivePage.url() !== "about:blank") {
-      await keepAlivePage.goto("about:blank").catch(() => {});
+    const pid = old.browserProcess.proc.pid;
+    if (spawnedBrowserProcessGroupPids) spawnedBrowserProcessGroupPids.delete(pid);
+    killBrowserProcess(old.browserProcess.proc);
+    await waitForProcessExit(pid);
+  };
+
+  const launchSession = async () => {
+    const browserProcess = await startBraveForCdp(preferredCdpPort, cdpProfile, browserBinArg);
+    console.error(`Browser started for daemon (pid=${browserProcess.proc.pid}, cdpPort=${browserProcess.port})`);
+
+    let browser;
+    try {
+      browser = await chromium.connectOverCDP(`http://127.0.0.1:${browserProcess.port}`);
+    } catch (err) {
+      if (spawnedBrowserProcessGroupPids) spawnedBrowserProcessGroupPids.delete(browserProcess.proc.pid);
+      killBrowserProcess(browserProcess.proc);
+      throw err;
     }
-  } catch {
-    // ignore
+
+    const context = browser.contexts()[0] ?? await browser.newContext();
+    await context.addInitScript(stealthInitScript);
+
+    // Keep one blank tab open so the browser doesn't exit when we close work tabs.
+    const keepAlivePage = context.pages()[0] ?? await context.newPage();
+    try {
+      if (keepAlivePage.url() !== "about:blank") {
+        await keepAlivePage.goto("about:blank").catch(() => {});
+      }
+    } catch {
+      // ignore
+    }
+
+    const launched = {
+      browserProcess,
+      browser,
+      context,
+      keepAlivePage,
+      // Named profiles: profile name -> Promise of its isolated context.
+      profiles: new Map(),
+      lost: false,
+      retired: false,
+      commands: 0,
+    };
+
+    browser.on("disconnected", () => handleBrowserLost(launched, "CDP connection lost"));
+    browserProcess.proc.on?.("exit", (code, signal) => {
+      handleBrowserLost(launched, `browser process exited (code=${code}, signal=${signal})`);
+    });
+
+    return launched;
+  };
+
+  const restartBrowser = (old, reason, { recycle = false } = {}) => {
+    if (recovering) return recovering;
+
+    recovering = (async () => {
+      console.error(`Restarting browser: ${reason}`);
+      await retireSession(old);
+
+      let lastError;
+      for (let attempt = 1; attempt <= maxRelaunchAttempts; attempt += 1) {
+        try {
+          session = await launchSession();
+          if (recycle) {
+            supervisor.recycles += 1;
+            supervisor.lastRecycle = { reason, at: new Date().toISOString() };
+          } else {
+            supervisor.restarts += 1;
+          }
+          return session;
+        } catch (err) {
+          lastError = err;
+          console.error(`Browser relaunch attempt ${attempt}/${maxRelaunchAttempts} failed: ${err?.message || err}`);
+          await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+        }
+      }
+
+      throw new Error(`browser relaunch failed: ${lastError?.message || lastError}`);
+    })().finally(() => {
+      recovering = null;
+    });
+
+    return recovering;
+  };
+
+  function handleBrowserLost(lost, reason) {
+    if (shuttingDown || lost.retired || lost.lost) return;
+
+    lost.lost = true;
+    supervisor.lastCrash = { reason, at: new Date().toISOString() };
+    console.error(`Browser crashed: ${reason}`);
+
+    restartBrowser(lost, reason).catch((err) => console.error(err.message));
   }
 
+  // Recycling waits until no command is using the browser; commands arriving
+  // meanwhile wait for the fresh browser instead of starving the recycle.
+  let activeCommands = 0;
+  let pendingRecycle = null;
+  let recycleWaiters = [];
+
+  const startRecycle = () => {
+    const reason = pendingRecycle;
+    pendingRecycle = null;
+
+    restartBrowser(session, reason, { recycle: true })
+      .catch((err) => console.error(err.message))
+      .finally(() => {
+        const waiters = recycleWaiters;
+        recycleWaiters = [];
+        for (const resolve of waiters) resolve();
+      });
+  };
+
+  const requestRecycle = (reason) => {
+    if (pendingRecycle || recovering) return;
+    pendingRecycle = reason;
+    if (activeCommands === 0) startRecycle();
+  };
+
+  const checkRecyclePolicies = async (current) => {
+    if (recycleAfterRequests > 0 && current.commands >= recycleAfterRequests) {
+      requestRecycle(`recycling after ${current.commands} commands`);
+      return;
+    }
+
+    if (recycleRssBytes > 0) {
+      const rss = await getBrowserRssBytes(current.browserProcess.proc.pid);
+      supervisor.lastRssBytes = rss;
+      if (rss && rss > recycleRssBytes && current === session) {
+        requestRecycle(`recycling at ${Math.round(rss / 1048576)} MB RSS`);
+      }
+    }
+  };
+
+  // Wait out a pending recycle or an in-progress relaunch (relaunching again if
+  // the last attempt gave up), then mark the session as in use.
+  const acquireSession = async () => {
+    if (pendingRecycle) await new Promise((resolve) => recycleWaiters.push(resolve));
+    if (recovering) await recovering;
+    if (session.lost) await restartBrowser(session, "previous relaunch failed");
+    activeCommands += 1;
+    return session;
+  };
+
+  const releaseSession = (current) => {
+    activeCommands -= 1;
+    current.commands += 1;
+    if (pendingRecycle && activeCommands === 0) {
+      startRecycle();
+      return;
+    }
+    if (current === session) checkRecyclePolicies(current).catch(() => {});
+  };
+
+  session = await launchSession();
+
   let requestCount = 0;
-  let queue = Promise.resolve();
+  let lastActivityAt = Date.now();
+  const pageSlots = createSemaphore(maxPages);
+  const inFlight = new Map();
+  const metrics = createDaemonMetrics();
+  const fetchStrategies = createFetchStrategyMemory();
+  const auditLog = auditLogFile ? createAuditLog(auditLogFile) : null;
+
+  // Record a finished /command request in the metrics and the audit log.
+  const recordRequest = (request, payload, data, failure) => {
+    const { error = null, code: errorCode = null } = failure || {};
+    const durationMs = Date.now() - request.startedAt;
+    const outcome = error ? (request.controller.signal.aborted ? "cancelled" : "error") : "success";
+    // Keep label values bounded: arbitrary command names from clients map to "unknown".
+    const commandLabel = ["fetch", "fetchMany", "search"].includes(request.command) ? request.command : "unknown";
+    metrics.recordCommand({ command: commandLabel, durationMs, error, errorCode });
+
+    const pages = request.command === "fetch" && data ? [data] : request.command === "fetchMany" && data ? data : [];
+    for (const page of pages) metrics.recordPage(page);
+
+    if (!auditLog) return;
+    const base = { id: request.id, command: request.command };
+
+    if (pages.length > 0) {
+      for (const page of pages) {
+        auditLog.write({
+          ...base,
+          url: page.url,
+          durationMs: request.command === "fetch" ? durationMs : page.timings?.totalMs ?? null,
+          outcome: page.error ? "error" : "success",
+          strategy: page.strategy || null,
+          escalation: page.escalation || null,
+          error: page.error || null,
+          errorCode: page.errorCode || null,
+        });
+      }
+      return;
+    }
+
+    if (request.command === "search") {
+      auditLog.write({
+        ...base,
+        query: payload.query || null,
+        engines: describeSearchEngines(request.searchAttempts, data?.results || []),
+        fallbacks: request.fallbacks,
+        results: data?.results?.length ?? 0,
+        durationMs,
+        outcome: error ? outcome : data?.results?.length ? "success" : "empty",
+        error,
+        errorCode,
+      });
+      return;
+    }
+
+    auditLog.write({
+      ...base,
+      url: payload.url || null,
+      urls: Array.isArray(payload.urls) ? payload.urls : undefined,
+      durationMs,
+      outcome,
+      error,
+      errorCode,
+    });
+  };
+
+  // Fetch over plain HTTP first and open a tab only when needed. The HTTP
+  // attempt sends the persistent profile's cookies, so logged-in sites stay
+  // logged in. Named profiles always use the browser.
+  const createPageFetcher = (payload, request) => {
+    const mode = request.profile === DEFAULT_PROFILE ? normalizeFetchMode(payload.mode) : "browser";
+    return (context, url, truncate, opts) =>
+      smartFetchUrl({
+        context,
+        url,
+        truncate,
+        mode,
+        httpFetch,
+        headers,
+        memory: fetchStrategies,
+        fetchFromContext: fetchUrlFromContext,
+        fetchOpts: opts,
+        getCookies: (target) => context.cookies(target),
+        signal: request.controller.signal,
+      });
+  };
+
+  const executeCommand = async (command, payload, context, request, onResult) => {
+    const { signal } = request.controller;
+
+    if (command === "fetch") {
+      if (!payload.url) throw new Error("fetch requires payload.url");
+      const fetchPage = createPageFetcher(payload, request);
+      return await fetchPage(context, payload.url, Boolean(payload.truncate), fetchOpts);
+    }
+
+    if (command === "fetchMany") {
+      if (!Array.isArray(payload.urls)) throw new Error("fetchMany requires payload.urls[]");
+      return await fetchUrlsFromContext(context, payload.urls, Boolean(payload.truncate), {
+        ...fetchOpts,
+        concurrency: Number.isFinite(payload.concurrency) ? payload.concurrency : 1,
+        signal,
+        onResult,
+        fetchPage: createPageFetcher(payload, request),
+      });
+    }
+
+    if (command === "search") {
+      if (!payload.query) throw new Error("search requires payload.query");
+      const n = Number.isFinite(payload.numResults) ? payload.numResults : 5;
+
+      return await searchWebFromContext({
+        context,
+        httpFetch,
+        headers,
+        query: payload.query,
+        numResults: n,
+        engines: payload.engines || null,
+        merge: Boolean(payload.merge),
+        filters: payload.filters || {},
+        page: Number.isFinite(payload.page) ? payload.page : 1,
+        signal,
+        // Daemon should be relatively quiet; only log on hard failures.
+        log: (msg) => {
+          if (String(msg).toLowerCase().includes("failed")) console.error(msg);
+        },
+        onAttempt: (attempt) => {
+          metrics.recordSearchAttempt(attempt);
+          request.searchAttempts.push(attempt);
+        },
+        onFallback: (fallback) => {
+          metrics.recordSearchFallback(fallback);
+          request.fallbacks.push(fallback);
+        },
+      });
+    }
+
+    throw new Error(`unknown command: ${command}`);
+  };
+
+  const getProfileContext = async (current, name) => {
+    if (name === DEFAULT_PROFILE) return current.context;
+
+    if (!current.profiles.has(name)) {
+      const statePath = getProfileStatePath(profilesDir, name);
+      const opening = (async () => {
+        const context = await current.browser.newContext({
+          storageState: existsSync(statePath) ? statePath : undefined,
+        });
+        await context.addInitScript(stealthInitScript);
+        return context;
+      })();
+      current.profiles.set(name, opening);
+      opening.catch(() => current.profiles.delete(name));
+    }
+
+    return await current.profiles.get(name);
+  };
+
+  const saveProfile = async (current, context, name) => {
+    if (name === DEFAULT_PROFILE) return;
+
+    try {
+      ensureProfilesDir(profilesDir);
+      const statePath = getProfileStatePath(profilesDir, name);
+      await context.storageState({ path: statePath });
+      if (!IS_WINDOWS) chmodSync(statePath, 0o600);
+    } catch (err) {
+      if (!current.lost) console.error(`Failed to save profile ${name}: ${err instanceof Error ? err.message : String(err)}`);
+    }
+  };
+
+  const runOnSession = async (current, request, command, payload, onResult) => {
+    const { signal } = request.controller;
+    let profileContext = null;
+    let requestContext = null;
+    try {
+      request.profile = normalizeProfileName(payload.profile);
+      profileContext = await getProfileContext(current, request.profile);
+      requestContext = createRequestContext(profileContext, pageSlots, request);
+
+      const data = await executeCommand(command, payload, requestContext, request, onResult);
+      signal.throwIfAborted();
+      return data;
+    } finally {
+      if (requestContext) {
+        await cleanupContextPages(requestContext);
+        requestContext.releaseAll();
+      }
+      if (profileContext) await saveProfile(current, profileContext, request.profile);
+      releaseSession(current);
+    }
+  };
+
+  const describeProfiles = () => {
+    const saved = listProfiles(profilesDir);
+    const names = new Set([...saved.map((profile) => profile.name), ...session.profiles.keys()]);
+
+    return [
+      { name: DEFAULT_PROFILE, dir: cdpProfile, open: true },
+      ...[...names].sort().map((name) => ({
+        ...(saved.find((profile) => profile.name === name) || { name, updatedAt: null, sizeBytes: 0 }),
+        open: session.profiles.has(name),
+      })),
+    ];
+  };
+
+  const deleteProfile = async (name) => {
+    const normalized = normalizeProfileName(name);
+    if (normalized === DEFAULT_PROFILE) throw new Error("the default profile cannot be removed");
+
+    const busy = [...inFlight.values()].filter((request) => request.profile === normalized);
+    if (busy.length > 0) {
+      throw new Error(`profile ${normalized} is in use by ${busy.map((request) => request.id).join(", ")}`);
+    }
 
-  const enqueue = (fn) => {
-    queue = queue.then(fn, fn);
-    return queue;
+    const opening = session.profiles.get(normalized);
+    session.profiles.delete(normalized);
+    if (opening) await opening.then((context) => context.close()).catch(() => {});
+
+    const removed = removeProfile(profilesDir, normalized);
+    return { name: normalized, removed: removed || Boolean(opening) };
   };
 
+  // Any local process can reach a TCP port, so every endpoint requires the
+  // bearer token written to a file only this user can read (once listening).
+  const daemonToken = generateDaemonToken();
+
   const server = createHttpServer((req, res) => {
+    if (!isAuthorizedRequest(req, daemonToken)) {
+      res.writeHead(401, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: false, error: "unauthorized" }));
+      return;
+    }
+
+    if (req.method === "GET" && req.url === "/profiles") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: true, data: describeProfiles() }));
+      return;
+    }
+
+    if (req.method === "POST" && req.url === "/profiles/rm") {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", async () => {
+        try {
+          const { name } = JSON.parse(body || "{}");
+          const data = await deleteProfile(name);
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ success: true, data }));
+        } catch (err) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ success: false, error: err instanceof Error ? err.message : String(err) }));
+        }
+      });
+      return;
+    }
+
+    if (req.method === "GET" && req.url === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+      res.end(metrics.render());
+      return;
+    }
+
     if (req.method === "GET" && req.url === "/health") {
       const pages = (() => {
         try {
-          return context.pages().map((p) => ({ url: p.url(), closed: p.isClosed() }));
+          return session.context.pages().map((p) => ({ url: p.url(), closed: p.isClosed() }));
         } catch {
           return [];
         }
@@ -74,10 +640,33 @@ export async function runWebBrowseDaemon({
       res.end(
         JSON.stringify({
           status: "ok",
+          version,
+          configHash,
           pid: process.pid,
-          bravePid: browserProcess.proc.pid,
-          cdpPort: browserProcess.port,
+          bravePid: session.browserProcess.proc.pid,
+          cdpPort: session.browserProcess.port,
+          browser: {
+            connected: !session.lost,
+            recovering: Boolean(recovering),
+            restarts: supervisor.restarts,
+            lastCrash: supervisor.lastCrash,
+            recycles: supervisor.recycles,
+            lastRecycle: supervisor.lastRecycle,
+            commandsSinceLaunch: session.commands,
+            rssMb: supervisor.lastRssBytes ? Math.round(supervisor.lastRssBytes / 1048576) : null,
+          },
+          idleTimeoutSec: idleTimeoutMs > 0 ? Math.round(idleTimeoutMs / 1000) : null,
+          idleSec: Math.round((Date.now() - lastActivityAt) / 1000),
           requests: requestCount,
+          queue: {
+            maxPages: pageSlots.max,
+            activePages: pageSlots.active,
+            waitingPages: pageSlots.waiting,
+            inFlight: inFlight.size,
+            queued: [...inFlight.values()].filter((r) => describeRequest(r).state === "queued").length,
+            requests: [...inFlight.values()].map(describeRequest),
+          },
+          openProfiles: [...session.profiles.keys()],
           pageCount: pages.length,
           pages,
           uptimeSec: Math.round(process.uptime()),
@@ -89,51 +678,140 @@ export async function runWebBrowseDaemon({
     if (req.method === "POST" && req.url === "/command") {
       let body = "";
       req.on("data", (chunk) => (body += chunk));
-      req.on("end", () => {
-        enqueue(async () => {
+      req.on("end", async () => {
+        lastActivityAt = Date.now();
+        requestCount += 1;
+        const request = {
+          id: `req-${requestCount}`,
+          command: null,
+          startedAt: Date.now(),
+          pages: new Set(),
+          waitingPages: 0,
+          controller: new AbortController(),
+          fallbacks: [],
+          searchAttempts: [],
+          profile: null,
+        };
+        inFlight.set(request.id, request);
+        let streamLine = null;
+        let payload = {};
+        let data = null;
+        let failure = null;
+
+        // The client went away (timeout, Ctrl-C): stop working on its behalf.
+        res.on("close", () => {
+          if (!res.writableFinished) cancelRequest(request, "client disconnected");
+        });
+
+        try {
+          const parsed = JSON.parse(body || "{}");
+          const command = parsed.command;
+          payload = parsed.payload || {};
+          request.command = command;
+
+          // Streaming fetchMany: one NDJSON line per URL as soon as it completes
+          // (failures once their attempt is over), then a final {"done": true} line.
+          if (command === "fetchMany" && payload.stream) {
+            streamLine = (line) => {
+              if (!res.headersSent) res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+              res.write(JSON.stringify(line) + "\n");
+            };
+          }
+
+          // fetchMany results by URL index. Successes stream at once; failures are
+          // held until their attempt ends, since a browser crash may have caused
+          // them and the retry then replaces them. Each index is sent once.
+          const pageResults = [];
+          let heldFailures = [];
+          const onResult = (result, index) => {
+            pageResults[index] = result;
+            if (!streamLine) return;
+            if (result.error) heldFailures.push(index);
+            else streamLine({ index, result });
+          };
+
+          let current = await acquireSession();
           try {
-            const parsed = JSON.parse(body || "{}");
-            const command = parsed.command;
-            const payload = parsed.payload || {};
-
-            requestCount += 1;
-
-            let data;
-            if (command === "fetch") {
-              if (!payload.url) throw new Error("fetch requires payload.url");
-              data = await fetchUrlFromContext(context, payload.url, Boolean(payload.truncate), fetchOpts);
-            } else if (command === "fetchMany") {
-              if (!Array.isArray(payload.urls)) throw new Error("fetchMany requires payload.urls[]");
-              data = await fetchUrlsFromContext(context, payload.urls, Boolean(payload.truncate), fetchOpts);
-            } else if (command === "search") {
-              if (!payload.query) throw new Error("search requires payload.query");
-              const n = Number.isFinite(payload.numResults) ? payload.numResults : 5;
-
-              data = await searchWebFromContext({
-                context,
-                httpFetch,
-                headers,
-                query: payload.query,
-                numResults: n,
-                // Daemon should be relatively quiet; only log on hard failures.
-                log: (msg) => {
-                  if (String(msg).toLowerCase().includes("failed")) console.error(msg);
-                },
-              });
-            } else {
-              throw new Error(`unknown command: ${command}`);
+            data = await runOnSession(current, request, command, payload, onResult);
+          } catch (err) {
+            if (!current.lost || request.controller.signal.aborted) throw err;
+          }
+
+          // The browser died under this command: retry once on the relaunched
+          // browser (for fetchMany, only the URLs that did not succeed).
+          if (current.lost && !request.controller.signal.aborted) {
+            heldFailures = [];
+            let retryPayload = payload;
+            let retryOnResult = onResult;
+            if (command === "fetchMany") {
+              const pending = payload.urls.map((_, index) => index).filter((index) => !pageResults[index] || pageResults[index].error);
+              retryPayload = { ...payload, urls: pending.map((index) => payload.urls[index]) };
+              retryOnResult = (result, i) => onResult(result, pending[i]);
             }
 
-            await cleanupContextPages(context, keepAlivePage);
+            console.error(`Retrying ${request.id} (${command}) after browser crash`);
+            current = await acquireSession();
+            data = await runOnSession(current, request, command, retryPayload, retryOnResult);
+            if (command === "fetchMany") data = payload.urls.map((_, index) => pageResults[index]);
+          }
 
-            res.writeHead(200, { "Content-Type": "application/json" });
-            res.end(JSON.stringify({ success: true, data }));
-          } catch (err) {
-            await cleanupContextPages(context, keepAlivePage);
-            res.writeHead(400, { "Content-Type": "application/json" });
-            res.end(JSON.stringify({ success: false, error: err instanceof Error ? err.message : String(err) }));
+          if (streamLine) {
+            for (const index of heldFailures) streamLine({ index, result: pageResults[index] });
+            streamLine({ done: true, id: request.id });
+            res.end();
+            return;
           }
-        });
+
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ success: true, id: request.id, data }));
+        } catch (err) {
+          const error = request.controller.signal.aborted
+            ? `request ${request.id} cancelled: ${request.controller.signal.reason.message}`
+            : err instanceof Error ? err.message : String(err);
+          const code = request.controller.signal.aborted ? ERROR_CODES.CANCELLED : classifyError(err);
+          failure = { error, code };
+          if (res.destroyed) return;
+          if (res.headersSent) {
+            res.end(JSON.stringify({ done: true, id: request.id, error, code }) + "\n");
+            return;
+          }
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ success: false, id: request.id, error, code }));
+        } finally {
+          inFlight.delete(request.id);
+          lastActivityAt = Date.now();
+          recordRequest(request, payload, data, failure);
+
+          // With nothing in flight, also sweep stray tabs (popups, crashed requests).
+          if (inFlight.size === 0 && !session.lost && !recovering) {
+            await cleanupContextPages(session.context, session.keepAlivePage);
+          }
+        }
+      });
+      return;
+    }
+
+    if (req.method === "POST" && req.url === "/cancel") {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        let id = null;
+        try {
+          id = JSON.parse(body || "{}").id;
+        } catch {
+          // ignore
+        }
+
+        const request = inFlight.get(id);
+        if (!request) {
+          res.writeHead(404, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ success: false, error: `no in-flight request with id ${id}` }));
+          return;
+        }
+
+        cancelRequest(request, "cancelled via /cancel");
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ success: true, data: describeRequest(request) }));
       });
       return;
     }
@@ -142,16 +820,66 @@ export async function runWebBrowseDaemon({
     res.end("Not Found");
   });
 
-  server.listen(daemonPort, "127.0.0.1", () => {
+  // The token and pid files are only written once this daemon owns the
+  // address: a daemon that loses a startup race (EADDRINUSE) must not replace
+  // the token of the one that is serving clients.
+  server.on("listening", () => {
+    if (daemonSocket && !IS_WINDOWS) chmodSync(daemonSocket, 0o600);
+    try {
+      writeDaemonToken(daemonTokenFile, daemonToken);
+    } catch (err) {
+      // Without the token no client could talk to us.
+      console.error(`Could not write the daemon token file ${daemonTokenFile}: ${err instanceof Error ? err.message : String(err)}`);
+      shutdown({ exitCode: 1 });
+      return;
+    }
     try {
       writeFileSync(daemonPidFile, String(process.pid));
     } catch {
       // ignore
     }
-    console.error(`Daemon listening on ${daemonUrl}`);
+    console.error(`Daemon listening on ${daemonSocket || daemonUrl}`);
   });
 
-  const shutdown = async () => {
+  const listen = () => {
+    if (daemonSocket) server.listen(daemonSocket);
+    else server.listen(daemonPort, "127.0.0.1");
+  };
+
+  let replacedStaleSocket = false;
+  server.on("error", (err) => {
+    if (server.listening) {
+      console.error(`Daemon server error: ${err.message}`);
+      return;
+    }
+
+    // A socket left behind by a daemon that did not shut down cleanly refuses
+    // connections; replace it, but never the socket of a live daemon.
+    if (err.code === "EADDRINUSE" && daemonSocket && !IS_WINDOWS && !replacedStaleSocket) {
+      replacedStaleSocket = true;
+      const probe = connect(daemonSocket);
+      probe.once("connect", () => {
+        probe.destroy();
+        failToListen(err);
+      });
+      probe.once("error", () => {
+        rmSync(daemonSocket, { force: true });
+        listen();
+      });
+      return;
+    }
+
+    failToListen(err);
+  });
+
+  function failToListen(err) {
+    console.error(`Daemon could not listen on ${daemonSocket || daemonUrl}: ${err.message}`);
+    shutdown({ exitCode: 1, ownsAddress: false });
+  }
+
+  const shutdown = async ({ exitCode = 0, ownsAddress = true } = {}) => {
+    shuttingDown = true;
+
     try {
       server.close();
     } catch {
@@ -159,13 +887,14 @@ export async function runWebBrowseDaemon({
     }
 
     try {
-      await browser.close();
+      session.retired = true;
+      await session.browser.close();
     } catch {
       // ignore
     }
 
     try {
-      const pid = browserProcess.proc.pid;
+      const pid = session.browserProcess.proc.pid;
       if (spawnedBrowserProcessGroupPids) spawnedBrowserProcessGroupPids.delete(pid);
       if (IS_WINDOWS) {
         spawn("taskkill", ["/pid", pid.toString(), "/T", "/F"], { stdio: "ignore" });
@@ -176,19 +905,38 @@ export async function runWebBrowseDaemon({
       // ignore
     }
 
-    try {
-      rmSync(daemonPidFile, { force: true });
-    } catch {
-      // ignore
+    // The pid, token and socket files belong to whichever daemon is listening.
+    if (ownsAddress) {
+      try {
+        rmSync(daemonPidFile, { force: true });
+        removeDaemonToken(daemonTokenFile);
+        if (daemonSocket && !IS_WINDOWS) rmSync(daemonSocket, { force: true });
+      } catch {
+        // ignore
+      }
     }
 
-    process.exit(0);
+    exit(exitCode);
   };
 
+  listen();
+
+  if (idleTimeoutMs > 0) {
+    const idleTimer = setInterval(() => {
+      if (inFlight.size > 0 || Date.now() - lastActivityAt < idleTimeoutMs) return;
+      console.error(`No requests for ${Math.round(idleTimeoutMs / 1000)}s; shutting down idle daemon`);
+      clearInterval(idleTimer);
+      shutdown();
+    }, Math.min(60000, Math.max(1000, Math.floor(idleTimeoutMs / 4))));
+    idleTimer.unref();
+  }
+
   // Override any default one-shot signal handlers.
   process.removeAllListeners("SIGINT");
   process.removeAllListeners("SIGTERM");
 
-  process.on("SIGINT", shutdown);
-  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", () => shutdown());
+  process.on("SIGTERM", () => shutdown());
+
+  return { server, shutdown };
 }
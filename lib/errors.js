@@ -0,0 +1,96 @@
+/**
+ * Error taxonomy shared by fetch, search, the daemon and the CLI. Every fetch
+ * result carries an errorCode next to its human-readable error, and the CLI
+ * maps codes to process exit codes (see EXIT_CODES).
+ */
+export const ERROR_CODES = Object.freeze({
+  TIMEOUT: "TIMEOUT",
+  DNS: "DNS",
+  CONNECTION: "CONNECTION",
+  HTTP_4XX: "HTTP_4XX",
+  HTTP_5XX: "HTTP_5XX",
+  NOT_HTML: "NOT_HTML",
+  BOT_BLOCKED: "BOT_BLOCKED",
+  SEARCH_BLOCKED: "SEARCH_BLOCKED",
+  BROWSER_LAUNCH: "BROWSER_LAUNCH",
+  CANCELLED: "CANCELLED",
+  INVALID_ARGUMENT: "INVALID_ARGUMENT",
+  UNKNOWN: "UNKNOWN",
+});
+
+// 0 = success, 1 = unclassified failure, 2 = invalid arguments,
+// 3 = some (not all) pages failed.
+export const EXIT_CODES = Object.freeze({
+  UNKNOWN: 1,
+  INVALID_ARGUMENT: 2,
+  PARTIAL: 3,
+  TIMEOUT: 10,
+  DNS: 11,
+  CONNECTION: 12,
+  HTTP_4XX: 13,
+  HTTP_5XX: 14,
+  NOT_HTML: 15,
+  BOT_BLOCKED: 16,
+  SEARCH_BLOCKED: 17,
+  BROWSER_LAUNCH: 18,
+  CANCELLED: 19,
+});
+
+export class WebBrowseError extends Error {
+  constructor(code, message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "WebBrowseError";
+    this.code = ERROR_CODES[code] || ERROR_CODES.UNKNOWN;
+  }
+}
+
+export function httpStatusErrorCode(status) {
+  return status >= 500 ? ERROR_CODES.HTTP_5XX : ERROR_CODES.HTTP_4XX;
+}
+
+/**
+ * Classify an error message (or Error) into one of ERROR_CODES.
+ */
+export function classifyError(errorOrMessage) {
+  if (!errorOrMessage) return null;
+  if (errorOrMessage instanceof Error && ERROR_CODES[errorOrMessage.code]) return errorOrMessage.code;
+
+  const name = errorOrMessage instanceof Error ? errorOrMessage.name : "";
+  const message = errorOrMessage instanceof Error
+    ? `${errorOrMessage.message} ${errorOrMessage.cause?.code || ""} ${errorOrMessage.cause?.message || ""}`
+    : String(errorOrMessage);
+  const text = message.toLowerCase();
+
+  if (text.includes("cancelled")) return ERROR_CODES.CANCELLED;
+  if (text.includes("bot protection")) return ERROR_CODES.BOT_BLOCKED;
+  if (text.includes("blocked automated access") || text.includes("captcha")) return ERROR_CODES.SEARCH_BLOCKED;
+  if (name === "TimeoutError" || name === "AbortError" || /timeout|timed out/.test(text)) return ERROR_CODES.TIMEOUT;
+  if (/enotfound|eai_again|err_name_not_resolved|getaddrinfo/.test(text)) return ERROR_CODES.DNS;
+  if (/econnrefused|econnreset|err_connection|err_address_unreachable|socket hang up/.test(text)) {
+    return ERROR_CODES.CONNECTION;
+  }
+
+  const status = text.match(/\bhttp (\d{3})\b/);
+  if (status) return httpStatusErrorCode(Number(status[1]));
+
+  if (text.startsWith("not html") || text.includes("download is starting")) return ERROR_CODES.NOT_HTML;
+  if (text.includes("no supported browser binary") || text.includes("failed to launch")) {
+    return ERROR_CODES.BROWSER_LAUNCH;
+  }
+  return ERROR_CODES.UNKNOWN;
+}
+
+export function exitCodeForError(code) {
+  return EXIT_CODES[code] || EXIT_CODES.UNKNOWN;
+}
+
+/**
+ * Exit code for a batch of fetch results: 0 if all succeeded, the first
+ * failure's code if all failed, PARTIAL if only some failed.
+ */
+export function exitCodeForResults(results) {
+  const failed = results.filter((result) => result?.error);
+  if (failed.length === 0) return 0;
+  if (failed.length < results.length) return EXIT_CODES.PARTIAL;
+  return exitCodeForError(failed[0].errorCode || classifyError(failed[0].error));
+}
@@ -2,6 +2,10 @@ import { Readability } from "@mozilla/readability";
 import { JSDOM, VirtualConsole } from "jsdom";
 import TurndownService from "turndown";
 
+import { estimateTokens, paginateContent } from "./chunk.js";
+import { extractMetadata } from "./metadata.js";
+import { canonicalizeUrl } from "./url.js";
+
 const jsdomVirtualConsole = new VirtualConsole();
 jsdomVirtualConsole.on("jsdomError", (err) => {
   const message = err instanceof Error ? err.message : String(err);
@@ -28,31 +32,205 @@ export function parseHtmlToContent(html, url, truncate = true) {
 
   const turndown = new TurndownService({ headingStyle: "atx", codeBlockStyle: "fenced" });
   let content = "";
+  let anchors = [];
 
   try {
     if (article?.content) {
+      const container = document.createElement("div");
+      container.innerHTML = article.content;
+      anchors = collectHeadingAnchors(container);
       content = turndown.turndown(article.content);
     } else {
       const body = document.querySelector("body");
-      if (body) content = turndown.turndown(body.innerHTML);
+      if (body) {
+        anchors = collectHeadingAnchors(body);
+        content = turndown.turndown(body.innerHTML);
+      }
     }
   } catch {
     content = article?.textContent || document.body?.textContent || "";
   }
 
   let finalContent = content.trim();
+  // Outline of the whole page, even when the content is truncated below.
+  const outline = buildOutline(finalContent, anchors);
 
-  if (truncate && finalContent.length > 2000) {
-    const cutPoint = finalContent.lastIndexOf("\n\n", 2000);
-    if (cutPoint > 1000) {
-      finalContent = finalContent.slice(0, cutPoint) + "\n\n[... truncated, use --full for complete content ...]";
-    } else {
-      finalContent = finalContent.slice(0, 2000) + "\n\n[... truncated, use --full for complete content ...]";
-    }
-  }
+  // Keep the first chunk; its marker says how to page to the next one.
+  if (truncate) finalContent = paginateContent(finalContent).content;
 
   return {
     title: article?.title || document.title || "",
     content: finalContent,
+    outline,
+    links: collectLinks(document, url),
+    metadata: extractMetadata(document, article, url),
   };
 }
+
+// Site chrome whose links are not part of the page itself.
+const CHROME_SELECTOR = "nav, header, footer, aside, [role=navigation], [role=banner], [role=contentinfo], [role=complementary]";
+const MAX_LINKS = 300;
+
+function linkText(anchor) {
+  const text = anchor.textContent.replace(/\s+/g, " ").trim()
+    || anchor.getAttribute("aria-label")
+    || anchor.getAttribute("title")
+    || anchor.querySelector("img[alt]")?.getAttribute("alt")
+    || "";
+  return text.trim().slice(0, 120);
+}
+
+/**
+ * Outbound http(s) links of a page in document order: [{ url, text }],
+ * de-duplicated by canonical URL, without links back to the page itself and
+ * without navigation, header, footer and sidebar chrome (headers and footers
+ * inside the article or main content are kept).
+ */
+export function collectLinks(document, pageUrl) {
+  const self = canonicalizeUrl(pageUrl);
+  const byKey = new Map();
+
+  for (const anchor of document.querySelectorAll("body a[href]")) {
+    const chrome = anchor.closest(CHROME_SELECTOR);
+    if (chrome && !(chrome.matches("header, footer") && chrome.closest("article, main"))) continue;
+
+    let target;
+    try {
+      target = new URL(anchor.getAttribute("href"), document.baseURI || pageUrl);
+    } catch {
+      continue;
+    }
+    if (target.protocol !== "http:" && target.protocol !== "https:") continue;
+
+    const key = canonicalizeUrl(target.href);
+    if (key === self) continue;
+
+    const text = linkText(anchor);
+    const known = byKey.get(key);
+    if (known) {
+      if (!known.text) known.text = text;
+      continue;
+    }
+    byKey.set(key, { url: target.href, text });
+    if (byKey.size >= MAX_LINKS) break;
+  }
+
+  return [...byKey.values()];
+}
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+// Plain text of a markdown heading: no links, emphasis or escapes.
+function normalizeHeadingText(text) {
+  return String(text || "")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/(?<!\\)(\*\*|__|\*|_|`)(.+?)(?<!\\)\1/g, "$2")
+    .replace(/\\([\\`*_{}[\]()#+\-.!])/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// GitHub-style heading slug, for sites that add heading ids with JavaScript.
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, "").replace(/\s/g, "-");
+}
+
+// The id a fragment URL would use to jump to this heading, if any.
+function headingAnchor(heading) {
+  if (heading.id) return heading.id;
+
+  const named = heading.querySelector("[id], a[name]");
+  if (named) return named.id || named.getAttribute("name");
+
+  const parent = heading.parentElement;
+  if (parent?.id && parent.firstElementChild === heading && parent.id !== "readability-page-1") return parent.id;
+  return null;
+}
+
+function collectHeadingAnchors(root) {
+  return [...root.querySelectorAll("h1, h2, h3, h4, h5, h6")].map((heading) => ({
+    text: heading.textContent.replace(/\s+/g, " ").trim(),
+    anchor: headingAnchor(heading),
+  }));
+}
+
+/**
+ * Heading tree of a markdown document: [{ level, text, anchor, offset,
+ * length, tokens }] in document order, where offset/length delimit the
+ * section (up to the next heading of the same or a higher level) in markdown.
+ * anchors ([{ text, anchor }] from the DOM, in order) supply heading ids.
+ */
+export function buildOutline(markdown, anchors = []) {
+  const value = String(markdown || "");
+  const headings = [];
+  let offset = 0;
+  let inFence = false;
+
+  for (const line of value.split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(HEADING_PATTERN);
+    if (match && normalizeHeadingText(match[2])) {
+      headings.push({ level: match[1].length, text: normalizeHeadingText(match[2]), offset });
+    }
+    offset += line.length + 1;
+  }
+
+  let next = 0;
+  return headings.map((heading, i) => {
+    const end = headings.slice(i + 1).find((later) => later.level <= heading.level)?.offset ?? value.length;
+    const section = value.slice(heading.offset, end).trim();
+
+    // Match DOM headings in order, skipping ones turndown dropped (e.g. empty).
+    const found = anchors.findIndex((candidate, j) => j >= next && candidate.text === heading.text);
+    const anchor = found >= 0 ? anchors[found].anchor : null;
+    if (found >= 0) next = found + 1;
+
+    return { ...heading, anchor, length: section.length, tokens: estimateTokens(section) };
+  });
+}
+
+/**
+ * Find a section by "#anchor" (heading id, or its GitHub-style slug) or by
+ * heading text (exact, then substring; case-insensitive). Returns the
+ * outline entry with its markdown as content, or null.
+ */
+export function extractSection(markdown, outline, target) {
+  const wanted = String(target || "").trim();
+  if (!wanted || !Array.isArray(outline)) return null;
+
+  let entry = null;
+  if (wanted.startsWith("#")) {
+    let anchor = wanted.slice(1);
+    try {
+      anchor = decodeURIComponent(anchor);
+    } catch {
+      // keep it as-is
+    }
+    entry = outline.find((heading) => heading.anchor === anchor)
+      || outline.find((heading) => heading.anchor?.toLowerCase() === anchor.toLowerCase())
+      || outline.find((heading) => slugify(heading.text) === anchor.toLowerCase());
+  } else {
+    const text = normalizeHeadingText(wanted).toLowerCase();
+    entry = outline.find((heading) => heading.text.toLowerCase() === text)
+      || outline.find((heading) => heading.text.toLowerCase().includes(text));
+  }
+  if (!entry) return null;
+
+  return { ...entry, content: String(markdown).slice(entry.offset, entry.offset + entry.length) };
+}
+
+/**
+ * Render an outline as an indented list with anchors and section sizes.
+ */
+export function formatOutline(outline) {
+  if (!outline?.length) return "(no headings)";
+  const minLevel = Math.min(...outline.map((heading) => heading.level));
+
+  return outline
+    .map((heading) => {
+      const indent = "  ".repeat(heading.level - minLevel);
+      const anchor = heading.anchor ? ` (#${heading.anchor})` : "";
+      return `${indent}- ${heading.text}${anchor} · ~${heading.tokens} tokens`;
+    })
+    .join("\n");
+}
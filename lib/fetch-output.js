@@ -0,0 +1,27 @@
+import { classifyError } from "./errors.js";
+import { buildOutline } from "./extract.js";
+
+/**
+ * --json/--jsonl record for a fetched page. Every record has the same keys;
+ * failed pages carry error and errorCode, and outline/links are only filled
+ * in when they were asked for (--outline, --links).
+ */
+export function toFetchRecord(result, { outline = false, links = false } = {}) {
+  return {
+    url: result.url,
+    finalUrl: result.finalUrl || result.url,
+    title: result.title || "",
+    content: result.content || "",
+    error: result.error || null,
+    errorCode: result.error ? result.errorCode || classifyError(result.error) : null,
+    timings: result.timings || null,
+    strategy: result.strategy || null,
+    chunk: result.chunk || null,
+    section: result.section || null,
+    focus: result.focus || null,
+    outline: outline ? result.outline || buildOutline(result.content) : null,
+    links: links ? result.links : null,
+    metadata: result.metadata || null,
+    cached: Boolean(result.cached),
+  };
+}
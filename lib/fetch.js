@@ -1,6 +1,9 @@
 import { parseHtmlToContent } from "./extract.js";
 import { waitForBotProtectionToClear } from "./bot-protection.js";
 import { dumpDebugArtifacts } from "./debug-dump.js";
+import { mapWithConcurrency } from "./pool.js";
+import { getResponseValidators } from "./content-cache.js";
+import { classifyError } from "./errors.js";
 
 export async function fetchUrlFromContext(
   context,
@@ -12,18 +15,42 @@ export async function fetchUrlFromContext(
     debugDumpBaseDir = null,
   } = {},
 ) {
+  const startedAt = Date.now();
+  const timings = { navigationMs: 0, botProtectionMs: 0, extractMs: 0, totalMs: 0 };
+  let botProtection = null;
+  let validators = null;
   let page;
 
   try {
     page = await context.newPage();
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
+    const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
+    validators = getResponseValidators(response?.headers());
+    timings.navigationMs = Date.now() - startedAt;
 
-    await waitForBotProtectionToClear(page, url, { timeoutMs: botProtectionTimeoutMs });
+    const protection = await waitForBotProtectionToClear(page, url, { timeoutMs: botProtectionTimeoutMs });
+    timings.botProtectionMs = protection.waitedMs;
+    botProtection = protection;
 
+    const extractStartedAt = Date.now();
     const html = await page.content();
     const parsed = parseHtmlToContent(html, url, truncate);
+    timings.extractMs = Date.now() - extractStartedAt;
+    timings.totalMs = Date.now() - startedAt;
 
-    return { url, title: parsed.title, content: parsed.content, error: null };
+    return {
+      url,
+      finalUrl: page.url(),
+      title: parsed.title,
+      content: parsed.content,
+      outline: parsed.outline,
+      links: parsed.links,
+      metadata: parsed.metadata,
+      error: null,
+      errorCode: null,
+      timings,
+      botProtection,
+      validators,
+    };
   } catch (err) {
     const message = err?.name === "AbortError"
       ? "Timeout after 45s"
@@ -42,7 +69,23 @@ export async function fetchUrlFromContext(
       }
     }
 
-    return { url, title: "", content: "", error: message };
+    const finalUrl = page && !page.isClosed() ? page.url() : url;
+    timings.totalMs = Date.now() - startedAt;
+    if (err?.botProtection) {
+      botProtection = err.botProtection;
+      timings.botProtectionMs = botProtection.waitedMs;
+    }
+
+    return {
+      url,
+      finalUrl,
+      title: "",
+      content: "",
+      error: message,
+      errorCode: classifyError(err),
+      timings,
+      botProtection,
+    };
   } finally {
     if (page && !page.isClosed()) {
       await page.close().catch(() => {});
@@ -50,12 +93,26 @@ export async function fetchUrlFromContext(
   }
 }
 
-export async function fetchUrlsFromContext(context, urls, truncate, opts = {}) {
-  const results = [];
-  for (const url of urls) {
-    results.push(await fetchUrlFromContext(context, url, truncate, opts));
-  }
-  return results;
+/**
+ * Fetch several URLs in parallel tabs of the same context (at most
+ * opts.concurrency at once). Results are returned in input order; once
+ * opts.signal aborts, remaining URLs are skipped with a "Cancelled" error.
+ * opts.onResult(result, index) is called as soon as each URL completes, and
+ * opts.fetchPage replaces fetchUrlFromContext (e.g. with a smart fetch).
+ */
+export async function fetchUrlsFromContext(
+  context,
+  urls,
+  truncate,
+  { concurrency = 1, signal = null, onResult = null, fetchPage = fetchUrlFromContext, ...opts } = {},
+) {
+  return await mapWithConcurrency(urls, concurrency, async (url, index) => {
+    const result = signal?.aborted
+      ? { url, finalUrl: url, title: "", content: "", error: "Cancelled", errorCode: "CANCELLED", timings: null }
+      : await fetchPage(context, url, truncate, opts);
+    if (onResult) onResult(result, index);
+    return result;
+  });
 }
 
 export async function cleanupContextPages(context, keepAlivePage = null) {
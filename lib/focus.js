@@ -0,0 +1,106 @@
+import { DEFAULT_CHUNK_TOKENS, estimateTokens, splitMarkdownBlocks } from "./chunk.js";
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "how", "i", "in", "is",
+  "it", "of", "on", "or", "that", "the", "this", "to", "what", "when", "where", "which", "who", "why", "with",
+  "you", "your",
+]);
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+
+// BM25 parameters (the usual defaults).
+const K1 = 1.2;
+const B = 0.75;
+
+export function tokenizeForSearch(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((term) => (term.length > 1 || /\d/.test(term)) && !STOPWORDS.has(term));
+}
+
+/**
+ * Split markdown into passages (one per paragraph, list, table or code block),
+ * each with the path of headings it sits under.
+ */
+export function splitPassages(markdown) {
+  const passages = [];
+  const path = [];
+
+  for (const block of splitMarkdownBlocks(markdown)) {
+    const heading = block.match(HEADING_PATTERN);
+    if (heading && !block.includes("\n")) {
+      const level = heading[1].length;
+      while (path.length > 0 && path[path.length - 1].level >= level) path.pop();
+      path.push({ level, text: heading[2].trim() });
+      continue;
+    }
+    passages.push({ index: passages.length, text: block, headings: path.map((entry) => entry.text) });
+  }
+
+  return passages;
+}
+
+/**
+ * Score passages against query with BM25. Heading text counts towards each
+ * passage under it, so "Install" sections match "how to install".
+ */
+export function scorePassages(passages, query) {
+  const terms = [...new Set(tokenizeForSearch(query))];
+  if (terms.length === 0 || passages.length === 0) return passages.map((passage) => ({ ...passage, score: 0 }));
+
+  const docs = passages.map((passage) => tokenizeForSearch(`${passage.headings.join(" ")} ${passage.text}`));
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+  const documentFrequency = new Map(
+    terms.map((term) => [term, docs.filter((doc) => doc.includes(term)).length]),
+  );
+
+  return passages.map((passage, i) => {
+    const doc = docs[i];
+    let score = 0;
+    for (const term of terms) {
+      const frequency = doc.filter((word) => word === term).length;
+      if (frequency === 0) continue;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+      score += idf * ((frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * doc.length) / avgLength)));
+    }
+    return { ...passage, score };
+  });
+}
+
+/**
+ * Reduce markdown to the passages most relevant to query, within maxTokens.
+ * Passages are printed in page order under their heading path, with "…"
+ * between passages that were not adjacent. Returns { content, shown, total }
+ * or null when nothing on the page matches the query.
+ */
+export function focusContent(markdown, query, { maxTokens = DEFAULT_CHUNK_TOKENS } = {}) {
+  const scored = scorePassages(splitPassages(markdown), query);
+  const ranked = scored.filter((passage) => passage.score > 0).sort((a, b) => b.score - a.score);
+  if (ranked.length === 0) return null;
+
+  const selected = [];
+  let used = 0;
+  for (const passage of ranked) {
+    const cost = estimateTokens(passage.text) + estimateTokens(passage.headings.join(" › "));
+    if (selected.length > 0 && used + cost > maxTokens) continue;
+    // The best passage is always shown, cut to the budget if it is huge (e.g. a long code block).
+    selected.push(cost > maxTokens ? { ...passage, text: `${passage.text.slice(0, maxTokens * 4)} …` } : passage);
+    used += cost;
+    if (used >= maxTokens) break;
+  }
+  selected.sort((a, b) => a.index - b.index);
+
+  const parts = [];
+  let lastIndex = null;
+  let lastHeadings = null;
+  for (const passage of selected) {
+    if (lastIndex !== null && passage.index !== lastIndex + 1) parts.push("…");
+    const headings = passage.headings.join(" › ");
+    if (headings && headings !== lastHeadings) parts.push(`## ${headings}`);
+    parts.push(passage.text);
+    lastIndex = passage.index;
+    lastHeadings = headings;
+  }
+
+  return { content: parts.join("\n\n"), shown: selected.length, total: scored.length };
+}
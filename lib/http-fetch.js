@@ -1,41 +1,100 @@
 import { parseHtmlToContent } from "./extract.js";
+import { conditionalRequestHeaders, getResponseValidators } from "./content-cache.js";
+import { WebBrowseError, classifyError, httpStatusErrorCode } from "./errors.js";
 
 /**
- * Fetch a URL via plain HTTP (no browser). Useful as a fallback when CDP is disabled.
+ * Fetch a URL via plain HTTP (no browser). Used first by the smart fetch
+ * strategy (see smart-fetch.js) and as the fallback when CDP is disabled.
+ * With validators ({ etag, lastModified } from a cached copy) the request is
+ * conditional, and a 304 resolves to { notModified: true } without content.
+ * keepHtml adds the raw HTML to the result; aborting signal cancels the request.
  */
-export async function fetchUrlViaHttp(httpFetch, headers, url, truncate = true) {
+export async function fetchUrlViaHttp(
+  httpFetch,
+  headers,
+  url,
+  truncate = true,
+  { validators = null, keepHtml = false, signal = null } = {},
+) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 15000);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const startedAt = Date.now();
+  const timings = { fetchMs: 0, extractMs: 0, totalMs: 0 };
+  let finalUrl = url;
+  let status = null;
 
   try {
     const response = await httpFetch(url, {
-      headers,
+      headers: { ...headers, ...conditionalRequestHeaders(validators) },
       redirect: "follow",
       signal: controller.signal,
     });
     clearTimeout(timeout);
+    finalUrl = response.url || url;
+    status = response.status;
+
+    if (validators && response.status === 304) {
+      await response.body?.cancel().catch(() => {});
+      timings.fetchMs = Date.now() - startedAt;
+      timings.totalMs = timings.fetchMs;
+      return {
+        url,
+        finalUrl,
+        title: "",
+        content: "",
+        error: null,
+        errorCode: null,
+        status,
+        timings,
+        notModified: true,
+        validators,
+      };
+    }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      throw new WebBrowseError(httpStatusErrorCode(response.status), `HTTP ${response.status} ${response.statusText}`);
     }
 
     const contentType = response.headers.get("content-type") || "";
     if (!contentType.includes("text/html") && !contentType.includes("application/xhtml")) {
-      throw new Error(`Not HTML: ${contentType}`);
+      throw new WebBrowseError("NOT_HTML", `Not HTML: ${contentType}`);
     }
 
     const html = await response.text();
+    timings.fetchMs = Date.now() - startedAt;
+
+    const extractStartedAt = Date.now();
     const parsed = parseHtmlToContent(html, url, truncate);
+    timings.extractMs = Date.now() - extractStartedAt;
+    timings.totalMs = Date.now() - startedAt;
 
     return {
       url,
+      finalUrl,
       title: parsed.title,
       content: parsed.content,
+      outline: parsed.outline,
+      links: parsed.links,
+      metadata: parsed.metadata,
       error: null,
+      errorCode: null,
+      status,
+      timings,
+      validators: getResponseValidators(response.headers),
+      ...(keepHtml ? { html } : {}),
     };
   } catch (err) {
     clearTimeout(timeout);
+    timings.totalMs = Date.now() - startedAt;
+    if (signal?.aborted) {
+      return { url, finalUrl, title: "", content: "", error: "Cancelled", errorCode: "CANCELLED", status, timings };
+    }
+
     const message = err?.name === "AbortError" ? "Timeout after 15s" : (err?.cause?.message || err?.message || String(err));
-    return { url, title: "", content: "", error: message };
+    return { url, finalUrl, title: "", content: "", error: message, errorCode: classifyError(err), status, timings };
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
   }
 }
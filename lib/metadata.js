@@ -0,0 +1,130 @@
+import { canonicalizeUrl } from "./url.js";
+
+const MAX_JSON_LD_ITEMS = 10;
+
+function meta(document, ...keys) {
+  for (const key of keys) {
+    const element = document.querySelector(`meta[property="${key}"], meta[name="${key}"], meta[itemprop="${key}"]`);
+    const value = element?.getAttribute("content")?.trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+function absoluteUrl(value, base) {
+  if (!value) return null;
+  try {
+    return new URL(value, base).href;
+  } catch {
+    return null;
+  }
+}
+
+// ISO 8601 for parseable dates; anything else is dropped.
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(String(value).trim());
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Parse the page's schema.org JSON-LD blocks, flattening arrays and @graph
+ * containers. Blocks that are not valid JSON are skipped.
+ */
+export function parseJsonLd(document) {
+  const items = [];
+
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch {
+      continue;
+    }
+
+    const queue = Array.isArray(data) ? [...data] : [data];
+    while (queue.length > 0 && items.length < MAX_JSON_LD_ITEMS) {
+      const item = queue.shift();
+      if (!item || typeof item !== "object") continue;
+      if (Array.isArray(item["@graph"])) {
+        queue.push(...item["@graph"]);
+        continue;
+      }
+      items.push(item);
+    }
+  }
+
+  return items;
+}
+
+function jsonLdAuthor(items) {
+  for (const item of items) {
+    const authors = [item.author].flat().filter(Boolean);
+    const names = authors.map((author) => (typeof author === "string" ? author : author.name)).filter(Boolean);
+    if (names.length > 0) return names.join(", ");
+  }
+  return null;
+}
+
+const jsonLdValue = (items, key) => items.find((item) => typeof item[key] === "string")?.[key] || null;
+
+/**
+ * Page metadata from Readability's article (byline, excerpt, site name,
+ * published time), <link rel=canonical>, OpenGraph/article meta tags,
+ * <html lang> and schema.org JSON-LD. Dates are ISO 8601; missing values are
+ * null.
+ */
+export function extractMetadata(document, article, pageUrl) {
+  const jsonLd = parseJsonLd(document);
+  const base = document.baseURI || pageUrl;
+
+  const openGraph = {};
+  for (const element of document.querySelectorAll('meta[property^="og:"]')) {
+    const key = element.getAttribute("property").slice(3);
+    const value = element.getAttribute("content")?.trim();
+    if (key && value && !(key in openGraph)) openGraph[key] = value;
+  }
+
+  return {
+    author: article?.byline?.trim() || jsonLdAuthor(jsonLd) || meta(document, "author", "article:author"),
+    publishedTime: toIsoDate(
+      article?.publishedTime
+        || meta(document, "article:published_time", "datePublished", "date")
+        || jsonLdValue(jsonLd, "datePublished")
+        || document.querySelector("time[datetime]")?.getAttribute("datetime"),
+    ),
+    modifiedTime: toIsoDate(
+      meta(document, "article:modified_time", "og:updated_time", "dateModified", "last-modified")
+        || jsonLdValue(jsonLd, "dateModified"),
+    ),
+    excerpt: article?.excerpt?.trim() || meta(document, "description", "og:description"),
+    siteName: article?.siteName?.trim() || openGraph.site_name || null,
+    canonicalUrl: absoluteUrl(document.querySelector('link[rel="canonical"]')?.getAttribute("href"), base)
+      || absoluteUrl(openGraph.url, base),
+    lang: document.documentElement.getAttribute("lang")?.trim() || article?.lang || null,
+    openGraph,
+    jsonLd,
+  };
+}
+
+/**
+ * One-line summary of the metadata that matters for judging a page:
+ * author, published/updated dates (day precision) and the canonical URL
+ * when it is not one of urls (compared canonicalized). Empty when none are
+ * known.
+ */
+export function formatMetadataHeader(metadata, ...urls) {
+  if (!metadata) return "";
+  const day = (iso) => iso.slice(0, 10);
+  const parts = [];
+
+  if (metadata.author) parts.push(`By: ${metadata.author}`);
+  if (metadata.publishedTime) parts.push(`Published: ${day(metadata.publishedTime)}`);
+  if (metadata.modifiedTime && day(metadata.modifiedTime) !== day(metadata.publishedTime || "")) {
+    parts.push(`Updated: ${day(metadata.modifiedTime)}`);
+  }
+  const canonical = metadata.canonicalUrl && canonicalizeUrl(metadata.canonicalUrl);
+  if (canonical && !urls.some((url) => url && canonicalizeUrl(url) === canonical)) parts.push(`Canonical: ${metadata.canonicalUrl}`);
+
+  return parts.join(" · ");
+}
@@ -0,0 +1,154 @@
+import { classifyError } from "./errors.js";
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  const escaped = entries.map(([key, value]) => {
+    const text = String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return `${key}="${text}"`;
+  });
+  return `{${escaped.join(",")}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Minimal Prometheus registry: counters and histograms with labels, rendered
+ * in the text exposition format by render().
+ */
+export function createMetricsRegistry() {
+  const families = [];
+
+  const counter = (name, help) => {
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type: "counter",
+      lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    });
+
+    return {
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+    };
+  };
+
+  const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type: "histogram",
+      lines: () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+    });
+
+    return {
+      observe(labels = {}, value) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+    };
+  };
+
+  const render = () =>
+    families
+      .map((family) =>
+        [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`, ...family.lines()].join("\n"),
+      )
+      .join("\n") + "\n";
+
+  return { counter, histogram, render };
+}
+
+/**
+ * Bucket an error into a metric label: its error code (see errors.js)
+ * lowercased, or "none" for success.
+ */
+export function classifyErrorMessage(message, code = null) {
+  if (!message) return "none";
+  return (code || classifyError(message)).toLowerCase();
+}
+
+/**
+ * The daemon's metric families plus helpers that record one finished command.
+ */
+export function createDaemonMetrics() {
+  const registry = createMetricsRegistry();
+
+  const commandDuration = registry.histogram(
+    "web_browse_command_duration_seconds",
+    "Daemon command latency in seconds.",
+  );
+  const commands = registry.counter(
+    "web_browse_commands_total",
+    "Daemon commands by command, outcome and error class.",
+  );
+  const pages = registry.counter(
+    "web_browse_fetch_pages_total",
+    "Fetched pages by outcome and error class.",
+  );
+  const botDetections = registry.counter(
+    "web_browse_bot_protection_detections_total",
+    "Pages that showed a bot-protection challenge, by whether it cleared.",
+  );
+  const botClearTime = registry.histogram(
+    "web_browse_bot_protection_clear_seconds",
+    "Time spent waiting for bot-protection challenges to clear.",
+    [1, 2, 5, 10, 20, 30, 60],
+  );
+  const escalations = registry.counter(
+    "web_browse_fetch_escalations_total",
+    "Pages fetched in the browser because plain HTTP was not enough, by reason.",
+  );
+  const searchAttempts = registry.counter(
+    "web_browse_search_attempts_total",
+    "Search engine attempts by engine and outcome (results, empty, error).",
+  );
+  const searchFallbacks = registry.counter(
+    "web_browse_search_fallbacks_total",
+    "Searches that fell through from one engine to the next.",
+  );
+
+  return {
+    render: registry.render,
+    recordCommand({ command, durationMs, error = null, errorCode = null }) {
+      commandDuration.observe({ command }, durationMs / 1000);
+      commands.inc({ command, outcome: error ? "error" : "success", class: classifyErrorMessage(error, errorCode) });
+    },
+    recordPage(result) {
+      pages.inc({ outcome: result.error ? "error" : "success", class: classifyErrorMessage(result.error, result.errorCode) });
+      if (result.escalation) escalations.inc({ reason: result.escalation });
+      if (result.botProtection?.detected) {
+        botDetections.inc({ cleared: String(Boolean(result.botProtection.cleared)) });
+        if (result.botProtection.cleared) botClearTime.observe({}, result.botProtection.waitedMs / 1000);
+      }
+    },
+    recordSearchAttempt({ engine, outcome }) {
+      searchAttempts.inc({ engine, outcome });
+    },
+    recordSearchFallback({ from, to }) {
+      searchFallbacks.inc({ from, to });
+    },
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Map over items with at most `limit` calls of fn in flight.
+ * Results keep input order regardless of completion order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = Array.from(items);
+  const results = new Array(list.length);
+  const workerCount = Math.max(1, Math.min(Number.isFinite(limit) ? Math.floor(limit) : 1, list.length));
+  let next = 0;
+
+  const worker = async () => {
+    while (next < list.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(list[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Counting semaphore. acquire() resolves to a release function once one of the
+ * `max` slots is free; waiters are served in FIFO order. Aborting the optional
+ * signal removes a waiter from the queue and rejects its acquire().
+ */
+export function createSemaphore(max) {
+  const limit = Math.max(1, Math.floor(max) || 1);
+  const waiters = [];
+  let active = 0;
+
+  const release = () => {
+    const next = waiters.shift();
+    if (next) {
+      next();
+    } else {
+      active -= 1;
+    }
+  };
+
+  const acquire = (signal = null) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      let released = false;
+      const onAbort = () => {
+        const index = waiters.indexOf(grant);
+        if (index !== -1) waiters.splice(index, 1);
+        reject(signal.reason);
+      };
+      const grant = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(() => {
+          if (released) return;
+          released = true;
+          release();
+        });
+      };
+
+      if (active < limit) {
+        active += 1;
+        grant();
+      } else {
+        waiters.push(grant);
+        signal?.addEventListener("abort", onAbort, { once: true });
+      }
+    });
+
+  return {
+    acquire,
+    get max() {
+      return limit;
+    },
+    get active() {
+      return active;
+    },
+    get waiting() {
+      return waiters.length;
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { existsSync, mkdirSync, readdirSync, rmSync, statSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+import { WebBrowseError } from "./errors.js";
+
+// The daemon's persistent browser profile; requests without a profile use it.
+export const DEFAULT_PROFILE = "default";
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+export function getProfilesDir(env = process.env) {
+  return env.WEB_BROWSE_PROFILES_DIR || join(homedir(), ".config", "web-browse-profiles");
+}
+
+/**
+ * Normalize a profile name from the CLI or a /command payload. Empty means the
+ * default profile; anything that could escape the profiles directory throws.
+ */
+export function normalizeProfileName(name) {
+  if (name == null || name === "" || name === DEFAULT_PROFILE) return DEFAULT_PROFILE;
+
+  const value = String(name).trim();
+  if (!PROFILE_NAME_PATTERN.test(value)) {
+    throw new WebBrowseError("INVALID_ARGUMENT", `invalid profile name "${value}" (use letters, digits, ".", "_" or "-", max 64 chars)`);
+  }
+  return value;
+}
+
+/**
+ * Path of the Playwright storageState file (cookies + localStorage) for a
+ * named profile.
+ */
+export function getProfileStatePath(profilesDir, name) {
+  return join(profilesDir, `${normalizeProfileName(name)}.json`);
+}
+
+export function ensureProfilesDir(profilesDir) {
+  mkdirSync(profilesDir, { recursive: true, mode: 0o700 });
+}
+
+export function listProfiles(profilesDir) {
+  if (!existsSync(profilesDir)) return [];
+
+  return readdirSync(profilesDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      const stats = statSync(join(profilesDir, file));
+      return {
+        name: file.slice(0, -".json".length),
+        updatedAt: stats.mtime.toISOString(),
+        sizeBytes: stats.size,
+      };
+    })
+    .filter((profile) => PROFILE_NAME_PATTERN.test(profile.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Delete a named profile's saved state. Returns false if it did not exist.
+ */
+export function removeProfile(profilesDir, name) {
+  const normalized = normalizeProfileName(name);
+  if (normalized === DEFAULT_PROFILE) throw new WebBrowseError("INVALID_ARGUMENT", "the default profile cannot be removed");
+
+  const file = getProfileStatePath(profilesDir, normalized);
+  if (!existsSync(file)) return false;
+  rmSync(file, { force: true });
+  return true;
+}
@@ -0,0 +1,41 @@
+import { createHash } from "node:crypto";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+export const DEFAULT_HISTORY_SIZE = 20;
+
+/**
+ * Session that namespaces the search cache: --session, then
+ * WEB_BROWSE_SESSION, then a hash of the working directory, so agents in
+ * different terminals/projects do not overwrite each other's results.
+ */
+export function resolveSessionId({ sessionArg = null, env = process.env, cwd = process.cwd() } = {}) {
+  const explicit = sessionArg || env.WEB_BROWSE_SESSION;
+  if (explicit) return String(explicit).replace(/[^A-Za-z0-9_.-]/g, "_").slice(0, 64);
+
+  return `cwd-${createHash("sha256").update(cwd).digest("hex").slice(0, 12)}`;
+}
+
+export function getSearchCacheFile(sessionId, dir = tmpdir()) {
+  return join(dir, `web-browse-cache-${sessionId}.json`);
+}
+
+/**
+ * Whether a cached entry is the same search (query, engines, filters, page
+ * size), ignoring which result page was fetched last.
+ */
+export function isSameSearch(entry, query, search) {
+  if (!entry?.search || entry.query !== query) return false;
+  const { page: _cachedPage, ...cached } = entry.search;
+  const { page: _page, ...current } = search;
+  return JSON.stringify(cached) === JSON.stringify(current);
+}
+
+/**
+ * Put entry at the front of the history (newest first), dropping older
+ * entries for the same search and anything beyond maxEntries.
+ */
+export function addToSearchHistory(history, entry, maxEntries = DEFAULT_HISTORY_SIZE) {
+  const rest = history.filter((previous) => !isSameSearch(previous, entry.query, entry.search || {}));
+  return [entry, ...rest].slice(0, Math.max(1, maxEntries));
+}
@@ -0,0 +1,34 @@
+export function toSearchRecord(result, rank) {
+  return {
+    rank,
+    title: result.title,
+    link: result.link,
+    snippet: result.snippet || "",
+    engine: result.engine || null,
+    engines: result.engines || (result.engine ? [result.engine] : []),
+  };
+}
+
+/**
+ * --json output of a search: the array of ranked result records, where
+ * ranks[i] is the cached rank of results[i]. With includeFeatures
+ * (--features) it is { features, results } instead, features holding the rich
+ * SERP blocks (featured snippet, People also ask, knowledge panel, related
+ * searches) or null.
+ */
+export function toSearchOutput(results, ranks, features = null, { includeFeatures = false } = {}) {
+  const records = results.map((result, i) => toSearchRecord(result, ranks[i]));
+  return includeFeatures ? { features: features || null, results: records } : records;
+}
+
+/**
+ * --jsonl records for the same search, each tagged with its type: a leading
+ * { type: "features", ... } record when includeFeatures is set and the engine
+ * returned any, then one { type: "result", ... } record per result.
+ */
+export function toSearchJsonlRecords(results, ranks, features = null, { includeFeatures = false } = {}) {
+  return [
+    ...(includeFeatures && features ? [{ type: "features", ...features }] : []),
+    ...results.map((result, i) => ({ type: "result", ...toSearchRecord(result, ranks[i]) })),
+  ];
+}
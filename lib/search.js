@@ -1,5 +1,105 @@
 import { load } from "cheerio";
 
+import { canonicalizeUrl } from "./url.js";
+import { WebBrowseError, classifyError, httpStatusErrorCode } from "./errors.js";
+
+export const SINCE_VALUES = ["day", "week", "month", "year"];
+
+// DuckDuckGo/Bing expect a language alongside the region; pick the obvious one
+// for regions where it isn't simply the region code.
+const REGION_DEFAULT_LANG = {
+  us: "en",
+  uk: "en",
+  gb: "en",
+  au: "en",
+  ca: "en",
+  ie: "en",
+  nz: "en",
+  in: "en",
+  at: "de",
+  ch: "de",
+  br: "pt",
+  mx: "es",
+  ar: "es",
+};
+
+function toList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function toCode(value) {
+  const code = String(value || "").trim().toLowerCase();
+  return code || null;
+}
+
+/**
+ * Validate and normalize search filters (site, excludeSite, filetype, since,
+ * region, lang). Lists may be arrays or comma-separated strings.
+ */
+export function normalizeSearchFilters({ site, excludeSite, filetype, since, region, lang } = {}) {
+  const filters = {
+    site: toList(site),
+    excludeSite: toList(excludeSite),
+    filetype: toCode(filetype)?.replace(/^\./, "") || null,
+    since: toCode(since),
+    region: toCode(region),
+    lang: toCode(lang),
+  };
+
+  if (filters.since && !SINCE_VALUES.includes(filters.since)) {
+    throw new WebBrowseError("INVALID_ARGUMENT", `Invalid --since value: ${since} (expected: ${SINCE_VALUES.join("|")})`);
+  }
+
+  return filters;
+}
+
+/**
+ * Append site:/-site:/filetype: operators understood by all supported engines.
+ */
+export function buildSearchQuery(query, filters = {}) {
+  const { site = [], excludeSite = [], filetype = null } = filters;
+  const parts = [query];
+
+  if (site.length === 1) parts.push(`site:${site[0]}`);
+  if (site.length > 1) parts.push(`(${site.map((s) => `site:${s}`).join(" OR ")})`);
+  for (const s of excludeSite) parts.push(`-site:${s}`);
+  if (filetype) parts.push(`filetype:${filetype}`);
+
+  return parts.join(" ");
+}
+
+function duckDuckGoLocale({ region, lang } = {}) {
+  if (!region && !lang) return null;
+  const effectiveRegion = region === "gb" ? "uk" : region || (lang === "en" ? "us" : lang);
+  const effectiveLang = lang || REGION_DEFAULT_LANG[effectiveRegion] || effectiveRegion;
+  return `${effectiveRegion}-${effectiveLang}`;
+}
+
+function pageOffset(num, page = 1) {
+  return Math.max(0, (Math.max(1, page) - 1) * num);
+}
+
+function duckDuckGoParams(num, { filters = {}, page = 1 } = {}) {
+  const params = [];
+  const locale = duckDuckGoLocale(filters);
+  if (locale) params.push(`kl=${locale}`);
+  if (filters.since) params.push(`df=${filters.since.charAt(0)}`);
+
+  // Mirror the hidden fields of the HTML endpoint's "Next" form: s is the
+  // result offset and dc the 1-based index of the first result on the page.
+  const offset = pageOffset(num, page);
+  if (offset > 0) params.push(`s=${offset}`, `dc=${offset + 1}`, "v=l", "o=json", "api=d.js");
+
+  return params.length ? `&${params.join("&")}` : "";
+}
+
+function withLanguageHeader(headers, filters = {}) {
+  if (!filters.lang) return headers;
+  return { ...headers, "Accept-Language": `${filters.lang};q=1.0, en;q=0.5` };
+}
+
 export function extractDuckDuckGoResults(html, num) {
   const $ = load(html);
   const results = [];
@@ -28,11 +128,13 @@ export function extractDuckDuckGoResults(html, num) {
   return results;
 }
 
-export async function searchDuckDuckGoLite(httpFetch, headers, query, num) {
-  const url = `https://duckduckgo.com/lite/?q=${encodeURIComponent(query)}`;
+export async function searchDuckDuckGoLite(httpFetch, headers, query, num, { filters = {}, page = 1 } = {}) {
+  const url = `https://duckduckgo.com/lite/?q=${encodeURIComponent(query)}${duckDuckGoParams(num, { filters, page })}`;
   const response = await httpFetch(url, { headers });
-  if (response.status === 202) throw new Error("DuckDuckGo returned 202 (blocked)");
-  if (!response.ok) throw new Error(`Search failed: ${response.status} ${response.statusText}`);
+  if (response.status === 202) throw new WebBrowseError("SEARCH_BLOCKED", "DuckDuckGo returned 202 (blocked)");
+  if (!response.ok) {
+    throw new WebBrowseError(httpStatusErrorCode(response.status), `Search failed: ${response.status} ${response.statusText}`);
+  }
 
   const html = await response.text();
   const $ = load(html);
@@ -52,29 +154,166 @@ export async function searchDuckDuckGoLite(httpFetch, headers, query, num) {
   return results;
 }
 
-export async function searchDuckDuckGo(httpFetch, headers, query, num) {
-  const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
+export async function searchDuckDuckGo(httpFetch, headers, query, num, { filters = {}, page = 1 } = {}) {
+  const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}${duckDuckGoParams(num, { filters, page })}`;
   const response = await httpFetch(url, { headers });
-  if (response.status === 202) throw new Error("DuckDuckGo returned 202 (blocked)");
-  if (!response.ok) throw new Error(`Search failed: ${response.status} ${response.statusText}`);
+  if (response.status === 202) throw new WebBrowseError("SEARCH_BLOCKED", "DuckDuckGo returned 202 (blocked)");
+  if (!response.ok) {
+    throw new WebBrowseError(httpStatusErrorCode(response.status), `Search failed: ${response.status} ${response.statusText}`);
+  }
 
   const html = await response.text();
   let results = extractDuckDuckGoResults(html, num);
 
   if (results.length === 0) {
-    results = await searchDuckDuckGoLite(httpFetch, headers, query, num);
+    results = await searchDuckDuckGoLite(httpFetch, headers, query, num, { filters, page });
   }
 
   return results;
 }
 
-export async function searchGoogleFromContext(context, query, num) {
+export function buildGoogleSearchUrl(query, num, { filters = {}, page = 1 } = {}) {
+  const clampedNum = Math.max(1, Math.min(num, 20));
+  let url = `https://www.google.com/search?q=${encodeURIComponent(query)}&num=${clampedNum}`;
+  url += `&hl=${filters.lang || "en"}&gl=${filters.region || "us"}`;
+  if (filters.lang) url += `&lr=lang_${filters.lang}`;
+  if (filters.since) url += `&tbs=qdr:${filters.since.charAt(0)}`;
+
+  const offset = pageOffset(clampedNum, page);
+  if (offset > 0) url += `&start=${offset}`;
+
+  return `${url}&pws=0&safe=off`;
+}
+
+function cleanText(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function resolveGoogleLink(href) {
+  if (!href) return null;
+  if (!href.startsWith("/url?")) return href;
+
+  try {
+    const url = new URL(`https://www.google.com${href}`);
+    return url.searchParams.get("q") || href;
+  } catch {
+    return href;
+  }
+}
+
+function isExternalLink(link) {
+  return Boolean(link) && !link.startsWith("/") && !link.includes("google.com");
+}
+
+export function extractGoogleResults(html, num = 20) {
+  const $ = load(html);
+  const items = [];
+
+  $("h3").each((i, el) => {
+    if (items.length >= num) return false;
+    const titleEl = $(el);
+    const title = cleanText(titleEl.text());
+    const linkEl = titleEl.closest("a[href]");
+    const link = resolveGoogleLink(linkEl.attr("href"));
+
+    if (!title || !link || !isExternalLink(link)) return;
+
+    let snippet = "";
+    let container = linkEl.closest("div.MjjYud, div.g, div[data-snf], div[data-sncf]");
+    if (container.length === 0) container = linkEl.parent().parent();
+
+    if (container.length) {
+      snippet = cleanText(container.find(".VwiC3b, .yXK7lf, .lEBKkf, span.aCOpRe").first().text());
+
+      if (!snippet) {
+        const spans = container
+          .find("span")
+          .toArray()
+          .map((span) => cleanText($(span).text()))
+          .filter((text) => text.length > 40 && text !== title);
+        snippet = spans[0] || "";
+      }
+    }
+
+    items.push({ title, link, snippet });
+  });
+
+  return items;
+}
+
+/**
+ * Extract Google's rich SERP features: the featured snippet / answer box,
+ * "People also ask" questions, knowledge panel facts and related searches.
+ * Returns null when the page has none of them.
+ */
+export function extractGoogleFeatures(html) {
+  const $ = load(html);
+
+  let featuredSnippet = null;
+  const answerBox = $(".xpdopen, block-component, .ifM9O").first();
+  const answerScope = answerBox.length ? answerBox : $("#rso");
+  const answerText = cleanText(
+    answerScope.find(".Z0LcW, .IZ6rdc, .hgKElc, [data-attrid='wa:/description']").first().text(),
+  );
+  if (answerText) {
+    const sourceTitle = answerBox.length ? answerBox.find("h3").first() : $();
+    const sourceLink = resolveGoogleLink(sourceTitle.closest("a[href]").attr("href"));
+    featuredSnippet = {
+      text: answerText,
+      title: cleanText(sourceTitle.text()) || null,
+      link: isExternalLink(sourceLink) ? sourceLink : null,
+    };
+  }
+
+  const peopleAlsoAsk = [];
+  $(".related-question-pair, div[data-q]").each((i, el) => {
+    const question = cleanText($(el).attr("data-q") || $(el).find("[role='heading'], .CSkcDe").first().text());
+    if (question && !peopleAlsoAsk.includes(question)) peopleAlsoAsk.push(question);
+  });
+
+  let knowledgePanel = null;
+  const panel = $(".kp-wholepage, #rhs .kp-blk, #rhs").first();
+  const panelTitle = cleanText(panel.find("[data-attrid='title']").first().text());
+  if (panelTitle) {
+    const description = panel.find(".kno-rdesc").first();
+    const sourceLink = description.find("a[href]").first();
+    const facts = [];
+
+    panel.find(".wDYxhc[data-attrid^='kc:/'], .wDYxhc[data-attrid^='ss:/'], .rVusze").each((i, el) => {
+      const label = cleanText($(el).find(".w8qArf").first().text()).replace(/:$/, "");
+      const value = cleanText($(el).find(".LrzXr, .kno-fv").first().text());
+      if (label && value && !facts.some((fact) => fact.label === label)) facts.push({ label, value });
+    });
+
+    knowledgePanel = {
+      title: panelTitle,
+      subtitle: cleanText(panel.find("[data-attrid='subtitle']").first().text()) || null,
+      description: cleanText(description.find("span").first().text()) || null,
+      source: sourceLink.length ? resolveGoogleLink(sourceLink.attr("href")) : null,
+      facts,
+    };
+  }
+
+  const relatedSearches = [];
+  $("#bres a[href^='/search?'], #botstuff a[href^='/search?']").each((i, el) => {
+    const text = cleanText($(el).find(".s75CSd, .dg6jd").first().text() || $(el).text());
+    if (text && !relatedSearches.includes(text)) relatedSearches.push(text);
+  });
+
+  if (!featuredSnippet && peopleAlsoAsk.length === 0 && !knowledgePanel && relatedSearches.length === 0) {
+    return null;
+  }
+
+  return { featuredSnippet, peopleAlsoAsk, knowledgePanel, relatedSearches };
+}
+
+export async function searchGoogleFromContext(context, query, num, { filters = {}, page: pageNumber = 1 } = {}) {
   const clampedNum = Math.max(1, Math.min(num, 20));
   let page;
 
   try {
     page = await context.newPage();
-    const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}&num=${clampedNum}&hl=en&gl=us&pws=0&safe=off`;
+    const searchUrl = buildGoogleSearchUrl(query, clampedNum, { filters, page: pageNumber });
 
     await page.goto(searchUrl, { waitUntil: "domcontentloaded", timeout: 20000 });
     await page.waitForTimeout(200 + Math.floor(Math.random() * 300));
@@ -108,56 +347,13 @@ export async function searchGoogleFromContext(context, query, num) {
       // allow fallthrough
     }
 
-    const extractResultsFromDocument = () => {
-      const items = [];
-      const titleEls = Array.from(document.querySelectorAll("h3"));
-
-      for (const titleEl of titleEls) {
-        const title = titleEl.textContent?.trim();
-        const linkEl = titleEl.closest("a[href]");
-        const link = linkEl?.getAttribute("href");
-
-        if (!title || !link) continue;
-
-        let finalLink = link;
-        if (link.startsWith("/url?")) {
-          try {
-            const url = new URL(`https://www.google.com${link}`);
-            finalLink = url.searchParams.get("q") || link;
-          } catch {
-            finalLink = link;
-          }
-        }
-
-        if (finalLink.startsWith("/") || finalLink.includes("google.com")) continue;
-
-        let snippet = "";
-        const container =
-          linkEl.closest("div.MjjYud, div.g, div[data-snf], div[data-sncf]") || linkEl.parentElement?.parentElement;
-
-        if (container) {
-          const snippetEl = container.querySelector(".VwiC3b, .yXK7lf, .lEBKkf, span.aCOpRe");
-          snippet = snippetEl?.textContent?.trim() || "";
-
-          if (!snippet) {
-            const spans = Array.from(container.querySelectorAll("span"))
-              .map((el) => el.textContent?.trim() || "")
-              .filter((text) => text.length > 40 && text !== title);
-            snippet = spans[0] || "";
-          }
-        }
-
-        items.push({ title, link: finalLink, snippet });
-      }
-
-      return items;
-    };
-
     const results = [];
+    let features = null;
     for (const frame of page.frames()) {
       try {
-        const frameResults = await frame.evaluate(extractResultsFromDocument);
-        results.push(...frameResults);
+        const html = await frame.content();
+        results.push(...extractGoogleResults(html, clampedNum));
+        if (frame === page.mainFrame()) features = extractGoogleFeatures(html);
       } catch {
         // ignore
       }
@@ -175,7 +371,7 @@ export async function searchGoogleFromContext(context, query, num) {
 
       const blockedSignals = ["unusual traffic", "before you continue", "sorry", "detected", "our systems"];
       if (diagnostics.hasCaptcha || blockedSignals.some((signal) => diagnostics.text.toLowerCase().includes(signal))) {
-        throw new Error(`Google blocked automated access (${diagnostics.title || page.url()})`);
+        throw new WebBrowseError("SEARCH_BLOCKED", `Google blocked automated access (${diagnostics.title || page.url()})`);
       }
 
       console.error(
@@ -184,7 +380,7 @@ export async function searchGoogleFromContext(context, query, num) {
       console.error(`Google body snippet: ${diagnostics.bodyHtmlSnippet}`);
     }
 
-    return results.slice(0, clampedNum);
+    return { results: results.slice(0, clampedNum), features };
   } finally {
     if (page && !page.isClosed()) {
       await page.close().catch(() => {});
@@ -192,8 +388,312 @@ export async function searchGoogleFromContext(context, query, num) {
   }
 }
 
+export function decodeBingRedirect(href) {
+  if (!href) return href;
+
+  try {
+    const url = new URL(href, "https://www.bing.com");
+    if (!url.hostname.endsWith("bing.com") || !url.pathname.startsWith("/ck/")) return href;
+
+    const encoded = url.searchParams.get("u");
+    if (!encoded || !encoded.startsWith("a1")) return href;
+
+    const base64 = encoded.slice(2).replace(/-/g, "+").replace(/_/g, "/");
+    const decoded = Buffer.from(base64, "base64").toString("utf-8");
+    return decoded.startsWith("http") ? decoded : href;
+  } catch {
+    return href;
+  }
+}
+
+export function extractBingResults(html, num) {
+  const $ = load(html);
+  const results = [];
+
+  $("li.b_algo").each((i, el) => {
+    if (results.length >= num) return false;
+    const $el = $(el);
+    const titleEl = $el.find("h2 a").first();
+
+    const title = titleEl.text().trim();
+    const link = decodeBingRedirect(titleEl.attr("href"));
+    const snippet = $el.find(".b_caption p, .b_lineclamp2, .b_lineclamp3, .b_lineclamp4").first().text().trim();
+
+    if (title && link && link.startsWith("http") && !link.includes("bing.com")) {
+      results.push({ title, link, snippet });
+    }
+  });
+
+  return results;
+}
+
+export function extractBraveResults(html, num) {
+  const $ = load(html);
+  const results = [];
+
+  $("#results .snippet[data-type='web'], #results .snippet:not([data-type])").each((i, el) => {
+    if (results.length >= num) return false;
+    const $el = $(el);
+    const linkEl = $el.find("a[href^='http']").first();
+
+    const link = linkEl.attr("href");
+    const title = ($el.find(".title, .snippet-title").first().text() || linkEl.text()).trim();
+    const snippet = $el.find(".snippet-description, .generic-snippet .content, .snippet-content").first().text().trim();
+
+    if (title && link && !link.includes("brave.com")) {
+      results.push({ title, link, snippet });
+    }
+  });
+
+  return results;
+}
+
+export function extractSearxngResults(html, num) {
+  const $ = load(html);
+  const results = [];
+
+  $("article.result, div.result").each((i, el) => {
+    if (results.length >= num) return false;
+    const $el = $(el);
+    const titleEl = $el.find("h3 a, h4 a").first();
+
+    const title = titleEl.text().trim();
+    const link = titleEl.attr("href");
+    const snippet = $el.find(".content, p.result-content").first().text().trim();
+
+    if (title && link && link.startsWith("http")) {
+      results.push({ title, link, snippet });
+    }
+  });
+
+  return results;
+}
+
+function bingTimeFilter(since) {
+  if (since === "day") return 'ex1:"ez1"';
+  if (since === "week") return 'ex1:"ez2"';
+  if (since === "month") return 'ex1:"ez3"';
+
+  // No preset for a year: use an explicit range in days since the epoch.
+  const today = Math.floor(Date.now() / 86400000);
+  return `ex1:"ez5_${today - 365}_${today}"`;
+}
+
+function buildBingSearchUrl(query, num, { filters = {}, page = 1 } = {}) {
+  let url = `https://www.bing.com/search?q=${encodeURIComponent(query)}&count=${num}`;
+  const offset = pageOffset(num, page);
+  if (offset > 0) url += `&first=${offset + 1}`;
+  if (filters.region) url += `&cc=${filters.region}`;
+  if (filters.lang) url += `&setlang=${filters.lang}`;
+  if (filters.since) url += `&filters=${encodeURIComponent(bingTimeFilter(filters.since))}`;
+  return url;
+}
+
+function buildBraveSearchUrl(query, num, { filters = {}, page = 1 } = {}) {
+  let url = `https://search.brave.com/search?q=${encodeURIComponent(query)}&source=web`;
+  if (page > 1) url += `&offset=${page - 1}`;
+  if (filters.region) url += `&country=${filters.region}`;
+  if (filters.lang) url += `&search_lang=${filters.lang}`;
+  if (filters.since) url += `&tf=p${filters.since.charAt(0)}`;
+  return url;
+}
+
+function buildSearxngSearchUrl(query, num, { filters = {}, page = 1 } = {}) {
+  let url = `${getSearxngBaseUrl()}/search?q=${encodeURIComponent(query)}&categories=general`;
+  if (page > 1) url += `&pageno=${page}`;
+  if (filters.lang) url += `&language=${filters.region ? `${filters.lang}-${filters.region.toUpperCase()}` : filters.lang}`;
+  if (filters.since) url += `&time_range=${filters.since}`;
+  return url;
+}
+
+function getSearxngBaseUrl(env = process.env) {
+  const base = env.WEB_BROWSE_SEARXNG_URL;
+  if (!base) throw new Error("searxng requires WEB_BROWSE_SEARXNG_URL (e.g. https://searx.example.org)");
+  return base.replace(/\/+$/, "");
+}
+
+/**
+ * Search engine registry.
+ *
+ * Each engine declares a fetch strategy ("browser" runs in the shared browser
+ * context, "http" uses plain HTTP) and either a buildUrl/parse pair handled by
+ * runSearchEngine, or a custom search() for engines with extra flow (consent
+ * pages, lite fallbacks).
+ */
+export const SEARCH_ENGINES = {
+  google: {
+    name: "google",
+    aliases: [],
+    strategy: "browser",
+    search: ({ context, query, numResults, filters, page }) =>
+      searchGoogleFromContext(context, query, numResults, { filters, page }),
+  },
+  duckduckgo: {
+    name: "duckduckgo",
+    aliases: ["ddg"],
+    strategy: "http",
+    search: ({ httpFetch, headers, query, numResults, filters, page }) =>
+      searchDuckDuckGo(httpFetch, withLanguageHeader(headers, filters), query, numResults, { filters, page }),
+  },
+  bing: {
+    name: "bing",
+    aliases: [],
+    strategy: "http",
+    buildUrl: buildBingSearchUrl,
+    parse: extractBingResults,
+  },
+  brave: {
+    name: "brave",
+    aliases: [],
+    strategy: "browser",
+    buildUrl: buildBraveSearchUrl,
+    parse: extractBraveResults,
+  },
+  searxng: {
+    name: "searxng",
+    aliases: ["searx"],
+    strategy: "http",
+    buildUrl: buildSearxngSearchUrl,
+    parse: extractSearxngResults,
+  },
+};
+
+export const DEFAULT_ENGINE_ORDER = ["google", "duckduckgo"];
+
+export function getSearchEngine(name) {
+  const key = String(name || "").trim().toLowerCase();
+  return Object.values(SEARCH_ENGINES).find((engine) => engine.name === key || engine.aliases.includes(key)) || null;
+}
+
+/**
+ * Resolve an engine list ("google,ddg" or ["bing", "brave"]) to registry entries,
+ * in fallback order. Falls back to WEB_BROWSE_ENGINES, then DEFAULT_ENGINE_ORDER.
+ */
+export function resolveSearchEngines(spec = null, env = process.env) {
+  const raw = spec || env.WEB_BROWSE_ENGINES || DEFAULT_ENGINE_ORDER;
+  const names = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+
+  const engines = [];
+  for (const name of names) {
+    const engine = getSearchEngine(name);
+    if (!engine) {
+      throw new WebBrowseError("INVALID_ARGUMENT", `Unknown search engine: ${name} (available: ${Object.keys(SEARCH_ENGINES).join(", ")})`);
+    }
+    if (!engines.includes(engine)) engines.push(engine);
+  }
+
+  if (engines.length === 0) throw new WebBrowseError("INVALID_ARGUMENT", "No search engines selected");
+  return engines;
+}
+
+export async function runSearchEngine(
+  engine,
+  { context, httpFetch, headers, query, numResults, filters = {}, page = 1 },
+) {
+  const effectiveQuery = buildSearchQuery(query, filters);
+  let results;
+  let features = null;
+
+  if (engine.search) {
+    const output = await engine.search({ context, httpFetch, headers, query: effectiveQuery, numResults, filters, page });
+    results = Array.isArray(output) ? output : output.results;
+    features = Array.isArray(output) ? null : output.features || null;
+  } else if (engine.strategy === "http") {
+    const url = engine.buildUrl(effectiveQuery, numResults, { filters, page });
+    const response = await httpFetch(url, { headers: withLanguageHeader(headers, filters) });
+    if (!response.ok) {
+      throw new WebBrowseError(httpStatusErrorCode(response.status), `Search failed: ${response.status} ${response.statusText}`);
+    }
+    results = engine.parse(await response.text(), numResults);
+  } else {
+    let tab;
+    try {
+      tab = await context.newPage();
+      const url = engine.buildUrl(effectiveQuery, numResults, { filters, page });
+      await tab.goto(url, { waitUntil: "domcontentloaded", timeout: 20000 });
+      await tab.waitForTimeout(200 + Math.floor(Math.random() * 300));
+      results = engine.parse(await tab.content(), numResults);
+    } finally {
+      if (tab && !tab.isClosed()) {
+        await tab.close().catch(() => {});
+      }
+    }
+  }
+
+  return {
+    results: results.slice(0, numResults).map((result) => ({ ...result, engine: engine.name })),
+    features,
+  };
+}
+
+function engineLabel(engine) {
+  if (engine.name === "duckduckgo") return "DuckDuckGo";
+  if (engine.name === "searxng") return "SearXNG";
+  return engine.name.charAt(0).toUpperCase() + engine.name.slice(1);
+}
+
+/**
+ * Merge per-engine result lists with reciprocal-rank fusion.
+ * Results are de-duplicated by canonical URL and annotated with every engine
+ * that returned them; the best-ranked copy supplies title/link/snippet.
+ */
+export function mergeSearchResults(resultLists, { k = 60 } = {}) {
+  const merged = new Map();
+  let order = 0;
+
+  for (const list of resultLists) {
+    list.forEach((result, rank) => {
+      const key = canonicalizeUrl(result.link);
+      const score = 1 / (k + rank + 1);
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, {
+          result: { ...result, engines: result.engine ? [result.engine] : [] },
+          score,
+          bestRank: rank,
+          order: order++,
+        });
+        return;
+      }
+
+      existing.score += score;
+      if (result.engine && !existing.result.engines.includes(result.engine)) {
+        existing.result.engines.push(result.engine);
+      }
+      if (rank < existing.bestRank) {
+        existing.bestRank = rank;
+        existing.result = {
+          ...result,
+          snippet: result.snippet || existing.result.snippet,
+          engines: existing.result.engines,
+        };
+      } else if (!existing.result.snippet && result.snippet) {
+        existing.result.snippet = result.snippet;
+      }
+    });
+  }
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map((entry) => entry.result);
+}
+
 /**
- * Main search flow: try Google (via browser context) first, fall back to DuckDuckGo.
+ * Main search flow. By default, try each selected engine in order (Google via
+ * the browser context, then DuckDuckGo) and return the first non-empty list.
+ * Resolves to { results, features, errors }; features holds rich SERP blocks
+ * (see extractGoogleFeatures) or null, and errors lists engines that failed as
+ * { engine, code, message } (code from ERROR_CODES).
+ * With merge=true, query every selected engine and fuse the results.
+ * Filters (site, excludeSite, filetype, since, region, lang) are translated
+ * into query operators and per-engine URL parameters; page (1-based) selects
+ * the result page via each engine's offset parameter. Aborting signal stops
+ * HTTP engine requests and the fallback cascade. onAttempt({ engine, outcome,
+ * error }) reports each engine's outcome ("results", "empty" or "error") and
+ * onFallback({ from, to }) each step down the cascade.
  */
 export async function searchWebFromContext({
   context,
@@ -201,26 +701,65 @@ export async function searchWebFromContext({
   headers,
   query,
   numResults,
+  engines = null,
+  merge = false,
+  filters = {},
+  page = 1,
+  signal = null,
   log = (msg) => console.error(msg),
+  onAttempt = () => {},
+  onFallback = () => {},
 } = {}) {
-  let results = [];
+  const selected = resolveSearchEngines(engines);
+  const normalizedFilters = normalizeSearchFilters(filters);
+  const fetchWithSignal = signal ? (url, opts = {}) => httpFetch(url, { ...opts, signal }) : httpFetch;
+  const errors = [];
 
-  try {
-    results = await searchGoogleFromContext(context, query, numResults);
-  } catch (error) {
-    const message = error instanceof Error ? error.message : String(error);
-    log(`Google search failed: ${message}`);
-  }
-
-  if (results.length === 0) {
-    log("Google returned no results. Falling back to DuckDuckGo...");
+  const attempt = async (engine) => {
+    signal?.throwIfAborted();
     try {
-      results = await searchDuckDuckGo(httpFetch, headers, query, numResults);
+      const output = await runSearchEngine(engine, {
+        context,
+        httpFetch: fetchWithSignal,
+        headers,
+        query,
+        numResults,
+        filters: normalizedFilters,
+        page,
+      });
+      onAttempt({ engine: engine.name, outcome: output.results.length > 0 ? "results" : "empty", error: null });
+      return output;
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
-      log(`DuckDuckGo search failed: ${message}`);
+      log(`${engineLabel(engine)} search failed: ${message}`);
+      errors.push({ engine: engine.name, code: classifyError(error), message });
+      onAttempt({ engine: engine.name, outcome: "error", error: message });
+      return { results: [], features: null };
     }
+  };
+
+  if (merge && selected.length > 1) {
+    const outputs = await Promise.all(selected.map(attempt));
+    return {
+      results: mergeSearchResults(outputs.map((output) => output.results)).slice(0, numResults),
+      features: outputs.find((output) => output.features)?.features || null,
+      errors,
+    };
   }
 
-  return results;
+  for (let i = 0; i < selected.length; i += 1) {
+    const engine = selected[i];
+    const next = selected[i + 1];
+    const output = await attempt(engine);
+
+    if (output.results.length > 0) return { ...output, errors };
+    signal?.throwIfAborted();
+
+    if (next) {
+      log(`${engineLabel(engine)} returned no results. Falling back to ${engineLabel(next)}...`);
+      onFallback({ from: engine.name, to: next.name });
+    }
+  }
+
+  return { results: [], features: null, errors };
 }
@@ -0,0 +1,148 @@
+import { fetchUrlViaHttp } from "./http-fetch.js";
+import { isLikelyBotProtectionText } from "./bot-protection.js";
+import { WebBrowseError } from "./errors.js";
+
+export const FETCH_MODES = ["auto", "http", "browser"];
+
+export const DEFAULT_STRATEGY_TTL_MS = 60 * 60 * 1000;
+
+// Statuses that usually mean "not for scripts" rather than "no such page".
+const BLOCKED_STATUSES = new Set([401, 403, 406, 429, 503]);
+
+// Empty mount points of client-rendered apps (React, Vue, Next, Nuxt, Svelte, Angular).
+const EMPTY_APP_ROOT = /<(?:div|main)\b[^>]*\bid=["'](?:root|app|__next|__nuxt|svelte|app-root)["'][^>]*>\s*<\/(?:div|main)>|<app-root\b[^>]*>\s*<\/app-root>/i;
+const NOSCRIPT_NOTICE = /<noscript\b[^>]*>[\s\S]{0,300}?\b(?:enable|requires?|turn on|needs?)\b[\s\S]{0,40}?javascript/i;
+
+export function normalizeFetchMode(value) {
+  const mode = String(value || "auto").trim().toLowerCase();
+  if (!FETCH_MODES.includes(mode)) {
+    throw new WebBrowseError("INVALID_ARGUMENT", `unknown fetch mode "${value}" (use ${FETCH_MODES.join(", ")})`);
+  }
+  return mode;
+}
+
+/**
+ * Whether a page fetched over plain HTTP looks client-rendered, i.e. its real
+ * content only appears after JavaScript runs. Pages with a reasonable amount
+ * of extracted text never count, whatever their markup.
+ */
+export function looksJsRendered(html, content) {
+  const textLength = String(content || "").replace(/[#*_`>[\]()!-]/g, "").replace(/\s+/g, " ").trim().length;
+  if (textLength >= 1500) return false;
+  if (EMPTY_APP_ROOT.test(html)) return true;
+  if (textLength < 500 && NOSCRIPT_NOTICE.test(html)) return true;
+  return textLength < 200 && /<script\b/i.test(html);
+}
+
+/**
+ * Why an HTTP fetch result is not good enough and the page needs a browser,
+ * or null if it can be used as-is.
+ */
+export function browserEscalationReason(result) {
+  if (result.error) {
+    if (BLOCKED_STATUSES.has(result.status)) return `blocked (HTTP ${result.status})`;
+    if (result.errorCode === "TIMEOUT" || result.errorCode === "CONNECTION") return result.errorCode.toLowerCase();
+    return null;
+  }
+  if (isLikelyBotProtectionText(result.title, result.content)) return "bot protection";
+  if (looksJsRendered(result.html || "", result.content)) return "js-rendered";
+  return null;
+}
+
+/**
+ * Per-domain memory of which fetch strategy worked ("http" or "browser"), so
+ * domains that need a browser skip the HTTP attempt until the entry expires.
+ */
+export function createFetchStrategyMemory({ ttlMs = DEFAULT_STRATEGY_TTL_MS, maxEntries = 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    get(host) {
+      const entry = entries.get(host);
+      if (!entry) return null;
+      if (Date.now() - entry.at >= ttlMs) {
+        entries.delete(host);
+        return null;
+      }
+      return entry;
+    },
+    remember(host, strategy, reason = null) {
+      entries.delete(host);
+      entries.set(host, { strategy, reason, at: Date.now() });
+      // Maps iterate in insertion order, so the first key is the oldest.
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+// Cookie request header for Playwright-style cookies ({ name, value }).
+export function cookieHeader(cookies) {
+  return (cookies || []).map((cookie) => `${cookie.name}=${cookie.value}`).join("; ");
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch a page over plain HTTP first and escalate to a browser tab
+ * (fetchFromContext) only when the response is blocked, looks JS-rendered or
+ * shows a bot-protection challenge. mode "http" never escalates and "browser"
+ * always uses the tab. Results carry strategy ("http" or "browser") and, when
+ * the HTTP attempt was discarded, escalation (the reason). getCookies(url)
+ * supplies the browser profile's cookies for the HTTP attempt, so pages behind
+ * a login come back as the logged-in user sees them.
+ */
+export async function smartFetchUrl({
+  context,
+  url,
+  truncate,
+  mode = "auto",
+  httpFetch,
+  headers,
+  memory = null,
+  fetchFromContext,
+  fetchOpts = {},
+  getCookies = null,
+  signal = null,
+  log = () => {},
+}) {
+  const host = hostOf(url);
+  const remembered = host && memory ? memory.get(host) : null;
+
+  const viaBrowser = async (escalation) => {
+    const result = await fetchFromContext(context, url, truncate, fetchOpts);
+    return { ...result, strategy: "browser", escalation };
+  };
+
+  if (mode === "browser") return await viaBrowser(null);
+  if (mode === "auto" && remembered?.strategy === "browser") return await viaBrowser(remembered.reason);
+
+  const cookies = getCookies ? cookieHeader(await getCookies(url).catch(() => [])) : "";
+  const httpHeaders = cookies ? { ...headers, Cookie: cookies } : headers;
+
+  const { html, ...httpResult } = await fetchUrlViaHttp(httpFetch, httpHeaders, url, truncate, {
+    keepHtml: mode === "auto",
+    signal,
+  });
+  if (mode === "http" || httpResult.errorCode === "CANCELLED") return { ...httpResult, strategy: "http", escalation: null };
+
+  const reason = browserEscalationReason({ ...httpResult, html });
+  if (!reason) {
+    if (host && memory && !httpResult.error) memory.remember(host, "http");
+    return { ...httpResult, strategy: "http", escalation: null };
+  }
+
+  log(`Fetching ${url} in the browser (${reason})`);
+  const result = await viaBrowser(reason);
+  if (host && memory && !result.error) memory.remember(host, "browser", reason);
+  result.timings = { ...result.timings, httpMs: httpResult.timings.totalMs };
+  return result;
+}
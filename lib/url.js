@@ -0,0 +1,73 @@
+// Query parameters that only carry click/campaign tracking and never change page content.
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "gbraid",
+  "wbraid",
+  "msclkid",
+  "yclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_hsenc",
+  "_hsmi",
+  "srsltid",
+  "ref_src",
+  "ref_url",
+  "spm",
+]);
+
+const TRACKING_PREFIXES = ["utm_", "pk_", "mtm_"];
+
+export function isTrackingParam(name) {
+  const key = String(name).toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
+/**
+ * Normalize a URL for de-duplication and cache keys: lowercase host without
+ * "www.", no default port, no fragment, no tracking parameters, sorted query,
+ * no trailing slash. Returns the input unchanged if it is not a valid URL.
+ */
+export function canonicalizeUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input).trim());
+  } catch {
+    return String(input || "").trim();
+  }
+
+  url.hash = "";
+  url.hostname = url.hostname.toLowerCase().replace(/^www\./, "");
+  if ((url.protocol === "https:" && url.port === "443") || (url.protocol === "http:" && url.port === "80")) {
+    url.port = "";
+  }
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  url.search = new URLSearchParams(params).toString();
+
+  if (url.pathname.length > 1 && url.pathname.endsWith("/")) {
+    url.pathname = url.pathname.replace(/\/+$/, "");
+  }
+
+  return url.toString();
+}
+
+/**
+ * The #fragment of a URL when it names a place in the page (without the "#"),
+ * or null. Text fragments (#:~:text=) and client-side routes (#/..., #!...)
+ * do not count.
+ */
+export function getUrlFragment(input) {
+  let hash;
+  try {
+    hash = new URL(String(input).trim()).hash.slice(1);
+  } catch {
+    return null;
+  }
+  if (!hash || hash.startsWith(":~:") || hash.startsWith("/") || hash.startsWith("!")) return null;
+  return hash;
+}
@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { createAuditLog } from "../lib/audit-log.js";
+
+test("createAuditLog appends one timestamped JSON line per record in order", async () => {
+  const file = join(mkdtempSync(join(tmpdir(), "web-browse-audit-test-")), "audit.jsonl");
+  const auditLog = createAuditLog(file);
+
+  auditLog.write({ id: "req-1", command: "fetch", url: "https://a.example", outcome: "success" });
+  await auditLog.write({ id: "req-2", command: "search", query: "q", outcome: "empty" });
+
+  const lines = readFileSync(file, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map((line) => line.id), ["req-1", "req-2"]);
+  assert.equal(lines[1].query, "q");
+  assert.ok(!Number.isNaN(Date.parse(lines[0].ts)));
+});
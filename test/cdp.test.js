@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { sumProcessGroupRssKb, isLikelyUsableBrowserCdp } from "../lib/cdp.js";
+
+test("sumProcessGroupRssKb sums only the given process group", () => {
+  const output = `
+    1200  51200
+    1200 102400
+     980   4096
+    1200    abc
+  `;
+  assert.equal(sumProcessGroupRssKb(output, 1200), 153600);
+  assert.equal(sumProcessGroupRssKb(output, 7), 0);
+});
+
+test("isLikelyUsableBrowserCdp rejects Electron apps", () => {
+  assert.equal(isLikelyUsableBrowserCdp({ "User-Agent": "Mozilla/5.0 Chrome/120 Electron/28.0.0" }), false);
+  assert.equal(isLikelyUsableBrowserCdp({ "User-Agent": "Mozilla/5.0 Chrome/120 Safari/537.36" }), true);
+  assert.equal(isLikelyUsableBrowserCdp(null), false);
+});
@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_CHUNK_TOKENS, chunkMarker, estimateTokens, paginateContent, splitIntoChunks } from "../lib/chunk.js";
+
+const paragraph = (label) => `${label} ${"word ".repeat(60).trim()}`;
+
+test("estimateTokens approximates four characters per token", () => {
+  assert.equal(estimateTokens(""), 0);
+  assert.equal(estimateTokens("abcdefgh"), 2);
+  assert.equal(estimateTokens("日本語"), 3);
+});
+
+test("splitIntoChunks breaks at paragraph boundaries within the budget", () => {
+  const markdown = ["# Title", paragraph("one"), paragraph("two"), paragraph("three"), paragraph("four")].join("\n\n");
+  const chunks = splitIntoChunks(markdown, 200);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) assert.ok(chunk.tokens <= 200, `chunk of ${chunk.tokens} tokens`);
+  assert.equal(chunks.map((chunk) => chunk.text).join("\n\n"), markdown);
+  assert.equal(markdown.slice(chunks[1].offset, chunks[1].offset + 10), chunks[1].text.slice(0, 10));
+});
+
+test("splitIntoChunks starts sections on a new chunk and never ends on a heading", () => {
+  const markdown = [paragraph("intro"), "## Setup", paragraph("setup"), "## Usage", paragraph("usage")].join("\n\n");
+  const chunks = splitIntoChunks(markdown, 120);
+
+  for (const chunk of chunks) assert.doesNotMatch(chunk.text, /\n## \w+$/);
+  assert.ok(chunks.some((chunk) => chunk.text.startsWith("## Usage")));
+});
+
+test("splitIntoChunks keeps fenced code blocks together and splits oversized text", () => {
+  const code = "```js\nconst a = 1;\n\nconst b = 2;\n```";
+  assert.deepEqual(splitIntoChunks(`Intro\n\n${code}`, 100).map((chunk) => chunk.text), [`Intro\n\n${code}`]);
+
+  const chunks = splitIntoChunks("x".repeat(4000), 500);
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[0].text.length, 2000);
+});
+
+test("paginateContent selects chunks by index or offset and explains paging", () => {
+  const markdown = [paragraph("one"), paragraph("two"), paragraph("three")].join("\n\n");
+
+  const first = paginateContent(markdown, { maxTokens: 80 });
+  assert.equal(first.chunk, 1);
+  assert.equal(first.total, 3);
+  assert.match(first.content, /chunk 1 of 3\); next chunk: --max-tokens 80 --chunk 2/);
+
+  const last = paginateContent(markdown, { maxTokens: 80, chunk: 3 });
+  assert.match(last.content, /^three/);
+  assert.match(last.content, /\[chunk 3 of 3; end of page\]$/);
+
+  const byOffset = paginateContent(markdown, { maxTokens: 80, offset: markdown.indexOf("two") + 5 });
+  assert.equal(byOffset.chunk, 2);
+
+  const missing = paginateContent(markdown, { maxTokens: 80, chunk: 7 });
+  assert.match(missing.error, /chunk 7 does not exist \(the page has 3 chunks\)/);
+
+  assert.equal(paginateContent("short page").content, "short page");
+});
+
+test("chunkMarker omits --max-tokens for the default size", () => {
+  assert.match(chunkMarker(2, 5, { maxTokens: DEFAULT_CHUNK_TOKENS }), /next chunk: --chunk 3, whole page: --full/);
+});
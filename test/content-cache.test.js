@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtempSync, utimesSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  contentCacheKey,
+  createContentCache,
+  getResponseValidators,
+  conditionalRequestHeaders,
+} from "../lib/content-cache.js";
+import { fetchUrlViaHttp } from "../lib/http-fetch.js";
+
+const page = { url: "https://example.com/docs", finalUrl: "https://example.com/docs", title: "Docs", content: "# Docs" };
+
+test("contentCacheKey normalizes the URL and separates extraction options", () => {
+  const key = contentCacheKey("https://www.example.com/docs/?utm_source=x#intro", { truncate: true });
+
+  assert.equal(contentCacheKey("https://example.com/docs", { truncate: true }), key);
+  assert.notEqual(contentCacheKey("https://example.com/docs", { truncate: false }), key);
+  assert.equal(
+    contentCacheKey("https://example.com/docs", { truncate: true, profile: null }),
+    contentCacheKey("https://example.com/docs", { profile: null, truncate: true }),
+  );
+});
+
+test("createContentCache stores entries, reports freshness and clears", () => {
+  const dir = mkdtempSync(join(tmpdir(), "web-browse-content-cache-test-"));
+  const cache = createContentCache({ dir, ttlMs: 60000 });
+  const options = { truncate: true };
+
+  assert.equal(cache.get(page.url, options), null);
+
+  cache.set(page.url, options, { ...page, validators: { etag: '"v1"', lastModified: null } });
+  const cached = cache.get(page.url, options);
+  assert.equal(cached.fresh, true);
+  assert.equal(cached.entry.result.content, "# Docs");
+  assert.deepEqual(cached.entry.validators, { etag: '"v1"', lastModified: null });
+
+  const stale = createContentCache({ dir, ttlMs: 0 }).get(page.url, options);
+  assert.equal(stale.fresh, false);
+
+  assert.equal(cache.stats().entries, 1);
+  assert.equal(cache.clear(), 1);
+  assert.equal(cache.get(page.url, options), null);
+});
+
+test("createContentCache evicts the least recently stored pages beyond maxEntries", () => {
+  const dir = mkdtempSync(join(tmpdir(), "web-browse-content-cache-test-"));
+  const cache = createContentCache({ dir, ttlMs: 60000, maxEntries: 2 });
+  const urls = ["https://example.com/a", "https://example.com/b", "https://example.com/c"];
+  const age = (url, minutes) => {
+    const time = new Date(Date.now() - minutes * 60000);
+    utimesSync(join(dir, `${contentCacheKey(url, {})}.json`), time, time);
+  };
+
+  cache.set(urls[0], {}, { ...page, url: urls[0] });
+  age(urls[0], 2);
+  cache.set(urls[1], {}, { ...page, url: urls[1] });
+  age(urls[1], 1);
+  cache.set(urls[2], {}, { ...page, url: urls[2] });
+
+  assert.equal(cache.stats().entries, 2);
+  assert.equal(cache.get(urls[0], {}), null);
+  assert.equal(cache.get(urls[1], {}).entry.url, urls[1]);
+  assert.equal(cache.get(urls[2], {}).entry.url, urls[2]);
+});
+
+test("getResponseValidators and conditionalRequestHeaders map ETag / Last-Modified", () => {
+  assert.equal(getResponseValidators(new Headers()), null);
+  assert.deepEqual(getResponseValidators({ etag: '"a"' }), { etag: '"a"', lastModified: null });
+  assert.deepEqual(conditionalRequestHeaders({ etag: '"a"', lastModified: "Tue, 01 Sep 2026 00:00:00 GMT" }), {
+    "If-None-Match": '"a"',
+    "If-Modified-Since": "Tue, 01 Sep 2026 00:00:00 GMT",
+  });
+});
+
+test("fetchUrlViaHttp revalidates with If-None-Match and reports 304 as notModified", async () => {
+  const server = createServer((req, res) => {
+    if (req.headers["if-none-match"] === '"v1"') {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/html", ETag: '"v1"' });
+    res.end("<html><head><title>Doc</title></head><body><main><p>Hello there.</p></main></body></html>");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/doc`;
+
+  try {
+    const first = await fetchUrlViaHttp(fetch, {}, url);
+    assert.equal(first.error, null);
+    assert.deepEqual(first.validators, { etag: '"v1"', lastModified: null });
+
+    const second = await fetchUrlViaHttp(fetch, {}, url, true, { validators: first.validators });
+    assert.equal(second.notModified, true);
+    assert.equal(second.error, null);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, statSync, writeFileSync } from "node:fs";
+import { tmpdir, platform } from "node:os";
+import { join } from "node:path";
+
+import {
+  generateDaemonToken,
+  writeDaemonToken,
+  readDaemonToken,
+  isAuthorizedRequest,
+  daemonAuthHeaders,
+} from "../lib/daemon-auth.js";
+
+test("writeDaemonToken stores a user-only token that readDaemonToken returns", () => {
+  const dir = mkdtempSync(join(tmpdir(), "web-browse-auth-test-"));
+  const file = join(dir, "daemon.token");
+  writeFileSync(file, "old", { mode: 0o644 });
+
+  const token = generateDaemonToken();
+  writeDaemonToken(file, token);
+
+  assert.equal(readDaemonToken(file), token);
+  if (platform() !== "win32") assert.equal(statSync(file).mode & 0o777, 0o600);
+});
+
+test("readDaemonToken returns null for missing files", () => {
+  assert.equal(readDaemonToken(join(tmpdir(), "web-browse-no-such-token")), null);
+  assert.equal(readDaemonToken(null), null);
+});
+
+test("isAuthorizedRequest requires the exact bearer token", () => {
+  const token = generateDaemonToken();
+  const req = (headers) => ({ headers });
+
+  assert.equal(isAuthorizedRequest(req({ authorization: daemonAuthHeaders(token).Authorization }), token), true);
+  assert.equal(isAuthorizedRequest(req({ authorization: `Bearer ${token.slice(1)}x` }), token), false);
+  assert.equal(isAuthorizedRequest(req({ authorization: `Bearer ${token}extra` }), token), false);
+  assert.equal(isAuthorizedRequest(req({}), token), false);
+});
@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { getPackageVersion, computeDaemonConfigHash, describeDaemonMismatch } from "../lib/daemon-config.js";
+
+test("getPackageVersion reads the version from package.json", () => {
+  const pkg = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf-8"));
+  assert.equal(getPackageVersion(), pkg.version);
+});
+
+test("computeDaemonConfigHash changes with browser binary, profile and socket only", () => {
+  const base = { browserBin: "/usr/bin/brave", profileDir: "/home/u/profile", socket: null };
+  const hash = computeDaemonConfigHash(base);
+
+  assert.equal(computeDaemonConfigHash({ ...base }), hash);
+  // Tuning flags forwarded to a daemon do not change which browser it drives.
+  assert.equal(computeDaemonConfigHash({ ...base, forwardedArgs: ["--max-pages", "6"] }), hash);
+  assert.notEqual(computeDaemonConfigHash({ ...base, browserBin: "/usr/bin/chromium" }), hash);
+  assert.notEqual(computeDaemonConfigHash({ ...base, profileDir: "/tmp/other" }), hash);
+  assert.notEqual(computeDaemonConfigHash({ ...base, socket: "/tmp/web-browse.sock" }), hash);
+});
+
+test("describeDaemonMismatch explains version and config differences", () => {
+  const expected = { version: "1.1.0", configHash: "abc" };
+
+  assert.equal(describeDaemonMismatch(null, expected), null);
+  assert.equal(describeDaemonMismatch({ version: "1.1.0", configHash: "abc" }, expected), null);
+  assert.match(describeDaemonMismatch({ version: "1.0.3", configHash: "abc" }, expected), /1\.0\.3.*1\.1\.0/);
+  assert.match(describeDaemonMismatch({ configHash: "abc" }, expected), /unknown/);
+  assert.match(describeDaemonMismatch({ version: "1.1.0", configHash: "def" }, expected), /different settings/);
+});
@@ -0,0 +1,556 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { existsSync, mkdtempSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { runWebBrowseDaemon } from "../lib/daemon.js";
+import { daemonAuthHeaders, readDaemonToken } from "../lib/daemon-auth.js";
+import {
+  cancelDaemonRequest,
+  checkDaemonHealth,
+  ensureDaemonRunning,
+  fetchDaemonMetrics,
+  listDaemonProfiles,
+  removeDaemonProfile,
+  sendDaemonCommand,
+  streamDaemonCommand,
+} from "../lib/daemon-client.js";
+import { cleanupContextPages, fetchUrlsFromContext } from "../lib/fetch.js";
+import { searchWebFromContext } from "../lib/search.js";
+
+// Fake browser processes get pids above Linux's pid_max, so killing them is a no-op.
+let nextPid = 10_000_000;
+
+function createFakePage(onGoto, context) {
+  const page = new EventEmitter();
+  let closed = false;
+  page.context = () => context;
+  page.url = () => "about:blank";
+  page.goto = async (url) => onGoto(url);
+  page.isClosed = () => closed;
+  page.close = async () => {
+    if (closed) return;
+    closed = true;
+    page.emit("close");
+  };
+  return page;
+}
+
+/**
+ * A browser context with its own cookie jar, loaded from and saved to a
+ * Playwright storageState file like a real one.
+ */
+function createFakeContext(onGoto, { cookies = [], storageState } = {}) {
+  const pages = new Set();
+  const jar = storageState ? JSON.parse(readFileSync(storageState, "utf-8")).cookies : [...cookies];
+  const context = {
+    async addInitScript() {},
+    pages: () => [...pages],
+    async newPage() {
+      const page = createFakePage(onGoto, context);
+      pages.add(page);
+      page.once("close", () => pages.delete(page));
+      return page;
+    },
+    async cookies() {
+      return [...jar];
+    },
+    async addCookies(added) {
+      jar.push(...added);
+    },
+    async storageState({ path }) {
+      writeFileSync(path, JSON.stringify({ cookies: jar, origins: [] }));
+    },
+    async close() {
+      for (const page of [...pages]) await page.close();
+    },
+  };
+  return context;
+}
+
+/**
+ * A chromium stand-in whose browsers can be crashed from the test: crash()
+ * closes every tab and drops the CDP connection, like a dying browser.
+ * onGoto(url) runs for every navigation (throw to fail it).
+ */
+function createFakeChromium(onGoto) {
+  const browsers = [];
+
+  return {
+    browsers,
+    async connectOverCDP() {
+      const browser = new EventEmitter();
+      const context = createFakeContext(onGoto, { cookies: [{ name: "session", value: "logged-in" }] });
+      browser.contexts = () => [context];
+      browser.newContext = async (options = {}) => createFakeContext(onGoto, options);
+      browser.close = async () => {};
+      browser.crash = () => {
+        for (const page of context.pages()) page.close();
+        browser.emit("disconnected");
+      };
+      browsers.push(browser);
+      return browser;
+    },
+  };
+}
+
+async function startBraveForCdp() {
+  const proc = new EventEmitter();
+  proc.pid = nextPid++;
+  proc.kill = () => {};
+  return { proc, port: 1 };
+}
+
+/**
+ * Run a daemon on a fresh TCP port with a fake browser. fetchPage(page, url)
+ * stands in for fetchUrlFromContext and onGoto(url) sees tab navigations
+ * (e.g. Google searches); the daemon is shut down after the test.
+ */
+async function startDaemon(
+  t,
+  { fetchPage = async () => ({}), onGoto = () => {}, daemonPort = 0, dir = null, ...overrides } = {},
+) {
+  const stateDir = dir || mkdtempSync(join(tmpdir(), "web-browse-daemon-test-"));
+  const chromium = createFakeChromium(onGoto);
+  const exits = [];
+
+  const daemon = await runWebBrowseDaemon({
+    daemonPort,
+    daemonUrl: "http://127.0.0.1",
+    daemonPidFile: join(stateDir, "daemon.pid"),
+    daemonTokenFile: join(stateDir, "daemon.token"),
+    preferredCdpPort: 1,
+    cdpProfile: stateDir,
+    browserBinArg: null,
+    startBraveForCdp,
+    chromium,
+    fetchUrlFromContext: async (context, url, truncate) => {
+      const page = await context.newPage();
+      try {
+        const result = await fetchPage(page, url, truncate);
+        return { url, finalUrl: url, title: url, content: `content of ${url}`, error: null, errorCode: null, ...result };
+      } catch (err) {
+        return { url, finalUrl: url, title: "", content: "", error: err.message, errorCode: "UNKNOWN" };
+      } finally {
+        await page.close();
+      }
+    },
+    fetchUrlsFromContext,
+    searchWebFromContext: async () => ({ results: [] }),
+    httpFetch: async () => {
+      throw new Error("no network in tests");
+    },
+    headers: {},
+    cleanupContextPages,
+    fetchOpts: {},
+    spawnedBrowserProcessGroupPids: null,
+    profilesDir: join(stateDir, "profiles"),
+    exit: (code) => exits.push(code),
+    ...overrides,
+  });
+
+  // A daemon that fails to bind closes its server instead of listening.
+  if (!daemon.server.listening) {
+    await new Promise((resolve) => {
+      daemon.server.once("listening", resolve);
+      daemon.server.once("close", resolve);
+    });
+  }
+
+  const port = daemon.server.listening ? daemon.server.address().port : daemonPort;
+  const connection = { daemonUrl: `http://127.0.0.1:${port}`, daemonTokenFile: join(stateDir, "daemon.token") };
+
+  t.after(async () => {
+    if (daemon.server.listening) {
+      daemon.server.closeAllConnections();
+      await daemon.shutdown();
+    }
+  });
+
+  return { daemon, chromium, connection, exits, port, stateDir };
+}
+
+// Poll until check() returns something truthy (a daemon-side state change).
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("timed out waiting for the daemon");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("a daemon that cannot bind leaves the running daemon's token and pid file alone", async (t) => {
+  const first = await startDaemon(t);
+  const token = readFileSync(first.connection.daemonTokenFile, "utf-8");
+
+  const second = await startDaemon(t, { daemonPort: first.port, dir: first.stateDir });
+  // Let the losing daemon finish shutting down.
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.deepEqual(second.exits, [1]);
+  assert.equal(readFileSync(first.connection.daemonTokenFile, "utf-8"), token);
+  assert.equal(readFileSync(join(first.stateDir, "daemon.pid"), "utf-8"), String(process.pid));
+  assert.equal((await checkDaemonHealth(first.connection)).status, "ok");
+});
+
+test("a daemon that cannot write its token file shuts down instead of crashing", async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), "web-browse-daemon-test-"));
+  // A regular file where the token directory should be makes the write fail.
+  writeFileSync(join(dir, "not-a-dir"), "");
+  const { daemon, exits } = await startDaemon(t, { dir, daemonTokenFile: join(dir, "not-a-dir", "daemon.token") });
+
+  await waitFor(() => exits.length > 0);
+  assert.deepEqual(exits, [1]);
+  assert.equal(daemon.server.listening, false);
+  assert.equal(existsSync(join(dir, "daemon.pid")), false);
+});
+
+test("checkDaemonHealth reports a daemon that rejects the token as unauthorized", async (t) => {
+  const { connection, stateDir } = await startDaemon(t);
+
+  const other = { ...connection, daemonTokenFile: join(stateDir, "no-such.token") };
+  assert.deepEqual(await checkDaemonHealth(other), { status: "unauthorized" });
+});
+
+test("a streamed fetchMany retried after a browser crash sends each page once", async (t) => {
+  const attempts = new Map();
+  const { chromium, connection } = await startDaemon(t, {
+    fetchPage: async (page, url) => {
+      attempts.set(url, (attempts.get(url) || 0) + 1);
+      // The first attempt at /slow is still loading when the browser dies.
+      if (url.endsWith("/slow") && attempts.get(url) === 1) {
+        await new Promise((resolve, reject) => page.once("close", () => reject(new Error("page closed"))));
+      }
+      return {};
+    },
+  });
+
+  const streamed = [];
+  const results = await streamDaemonCommand({
+    ...connection,
+    command: "fetchMany",
+    payload: { urls: ["https://a.example/fast", "https://a.example/slow"], concurrency: 2, mode: "browser" },
+    onResult: (result, index) => {
+      streamed.push([index, result.error]);
+      if (streamed.length === 1) chromium.browsers[0].crash();
+    },
+  });
+
+  assert.deepEqual(streamed, [[0, null], [1, null]]);
+  assert.deepEqual(results.map((result) => result.error), [null, null]);
+  assert.deepEqual(Object.fromEntries(attempts), { "https://a.example/fast": 1, "https://a.example/slow": 2 });
+  assert.equal(chromium.browsers.length, 2);
+});
+
+test("a streamed fetchMany may outlast the idle timeout as long as results keep coming", async (t) => {
+  const { connection } = await startDaemon(t, {
+    fetchPage: async () => {
+      await new Promise((resolve) => setTimeout(resolve, 80));
+      return {};
+    },
+  });
+  const urls = ["a", "b", "c", "d", "e"].map((name) => `https://a.example/${name}`);
+
+  const started = Date.now();
+  const results = await streamDaemonCommand({
+    ...connection,
+    command: "fetchMany",
+    payload: { urls, concurrency: 1, mode: "browser" },
+    idleTimeoutMs: 250,
+  });
+
+  assert.ok(Date.now() - started > 250);
+  assert.deepEqual(results.map((result) => result.error), [null, null, null, null, null]);
+});
+
+test("a streamed fetchMany gives up when the daemon goes quiet for the idle timeout", async (t) => {
+  const { connection } = await startDaemon(t, {
+    fetchPage: async (page, url) => {
+      if (url.endsWith("/stuck")) await new Promise((resolve) => page.once("close", resolve));
+      return {};
+    },
+  });
+
+  await assert.rejects(
+    streamDaemonCommand({
+      ...connection,
+      command: "fetchMany",
+      payload: { urls: ["https://a.example/fast", "https://a.example/stuck"], concurrency: 1, mode: "browser" },
+      idleTimeoutMs: 150,
+    }),
+    { name: "TimeoutError" },
+  );
+});
+
+test("HTTP-first fetches on the default profile carry the browser's cookies", async (t) => {
+  let sentHeaders = null;
+  const { connection } = await startDaemon(t, {
+    httpFetch: async (_url, opts) => {
+      sentHeaders = opts.headers;
+      return new Response(`<html><head><title>Account</title></head><body><p>${"Signed in as kim. ".repeat(20)}</p></body></html>`, {
+        headers: { "content-type": "text/html" },
+      });
+    },
+  });
+
+  const result = await sendDaemonCommand({ ...connection, command: "fetch", payload: { url: "https://site.example/account" } });
+
+  assert.equal(result.strategy, "http");
+  assert.equal(sentHeaders.Cookie, "session=logged-in");
+});
+
+test("a command the browser crashes under is retried once on the relaunched browser", async (t) => {
+  let attempts = 0;
+  let crashes = 1;
+  const { chromium, connection } = await startDaemon(t, {
+    fetchPage: async (page) => {
+      attempts += 1;
+      if (crashes > 0) {
+        crashes -= 1;
+        setImmediate(() => chromium.browsers.at(-1).crash());
+        await new Promise((resolve, reject) => page.once("close", () => reject(new Error("page closed"))));
+      }
+      return {};
+    },
+  });
+  const fetchOnce = () =>
+    sendDaemonCommand({ ...connection, command: "fetch", payload: { url: "https://a.example/", mode: "browser" } });
+
+  const recovered = await fetchOnce();
+  assert.equal(recovered.error, null);
+  assert.equal(attempts, 2);
+  assert.equal((await checkDaemonHealth(connection)).browser.restarts, 1);
+
+  // A browser that also dies during the retry is not retried again.
+  attempts = 0;
+  crashes = 2;
+  const failed = await fetchOnce();
+  assert.match(failed.error, /page closed/);
+  assert.equal(attempts, 2);
+  await waitFor(() => chromium.browsers.length === 4);
+});
+
+test("requests are cancelled when their client disconnects or on /cancel", async (t) => {
+  const closedPages = [];
+  const { connection } = await startDaemon(t, {
+    // Pages load until the daemon closes them.
+    fetchPage: (page, url) =>
+      new Promise((resolve, reject) =>
+        page.once("close", () => {
+          closedPages.push(url);
+          reject(new Error("page closed"));
+        }),
+      ),
+  });
+  const inFlight = async () => (await checkDaemonHealth(connection)).queue;
+  const command = (url, signal) =>
+    fetch(`${connection.daemonUrl}/command`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...daemonAuthHeaders(readDaemonToken(connection.daemonTokenFile)) },
+      body: JSON.stringify({ command: "fetch", payload: { url, mode: "browser" } }),
+      signal,
+    });
+
+  const client = new AbortController();
+  const abandoned = command("https://a.example/gone", client.signal).catch((err) => err);
+  await waitFor(async () => (await inFlight()).activePages === 1);
+  client.abort();
+  await abandoned;
+
+  await waitFor(async () => (await inFlight()).inFlight === 0);
+  assert.deepEqual(closedPages, ["https://a.example/gone"]);
+  assert.equal((await inFlight()).activePages, 0);
+
+  const pending = command("https://a.example/cancelled");
+  const { requests } = await waitFor(async () => {
+    const queue = await inFlight();
+    return queue.activePages === 1 && queue;
+  });
+  await cancelDaemonRequest({ ...connection, id: requests[0].id });
+
+  const response = await (await pending).json();
+  assert.equal(response.success, false);
+  assert.equal(response.code, "CANCELLED");
+  assert.equal((await inFlight()).inFlight, 0);
+});
+
+test("concurrent requests share the page limit without closing each other's tabs", async (t) => {
+  let open = 0;
+  let maxOpen = 0;
+  let releaseSlow;
+  const slowGate = new Promise((resolve) => (releaseSlow = resolve));
+  let slowPage = null;
+  const { connection } = await startDaemon(t, {
+    maxPages: 2,
+    fetchPage: async (page, url) => {
+      open += 1;
+      maxOpen = Math.max(maxOpen, open);
+      page.once("close", () => (open -= 1));
+      if (url.endsWith("/slow")) {
+        slowPage = page;
+        await slowGate;
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      return {};
+    },
+  });
+  const send = (command, payload) => sendDaemonCommand({ ...connection, command, payload: { ...payload, mode: "browser" } });
+
+  const slow = send("fetch", { url: "https://a.example/slow" });
+  await waitFor(() => slowPage);
+
+  const urls = ["https://b.example/1", "https://b.example/2", "https://b.example/3"];
+  const fast = await send("fetchMany", { urls, concurrency: 3 });
+  assert.deepEqual(fast.map((result) => result.error), [null, null, null]);
+
+  // The finished request cleaned up only its own tabs.
+  assert.equal(slowPage.isClosed(), false);
+  assert.equal((await checkDaemonHealth(connection)).queue.inFlight, 1);
+  assert.equal(maxOpen, 2);
+
+  releaseSlow();
+  assert.equal((await slow).error, null);
+});
+
+test("/metrics and the audit log show a search that fell back from Google to DuckDuckGo", async (t) => {
+  const ddgHtml = `<div class="result"><a class="result__a" href="https://example.com/page">Example</a>
+    <a class="result__snippet">Example snippet</a></div>`;
+  const dir = mkdtempSync(join(tmpdir(), "web-browse-daemon-test-"));
+  const auditLogFile = join(dir, "audit.jsonl");
+  const { connection } = await startDaemon(t, {
+    dir,
+    searchWebFromContext,
+    onGoto: (url) => {
+      if (url.startsWith("https://www.google.com/")) throw new Error("net::ERR_CONNECTION_RESET");
+    },
+    httpFetch: async () => new Response(ddgHtml, { headers: { "content-type": "text/html" } }),
+    auditLogFile,
+  });
+
+  const data = await sendDaemonCommand({ ...connection, command: "search", payload: { query: "example" } });
+  assert.deepEqual(data.results.map((result) => result.engine), ["duckduckgo"]);
+
+  const metrics = await fetchDaemonMetrics(connection);
+  assert.match(metrics, /^web_browse_search_attempts_total\{engine="google",outcome="error"\} 1$/m);
+  assert.match(metrics, /^web_browse_search_attempts_total\{engine="duckduckgo",outcome="results"\} 1$/m);
+  assert.match(metrics, /^web_browse_search_fallbacks_total\{from="google",to="duckduckgo"\} 1$/m);
+
+  await waitFor(() => existsSync(auditLogFile) && readFileSync(auditLogFile, "utf8").includes('"search"'));
+  const entry = JSON.parse(readFileSync(auditLogFile, "utf8").trim().split("\n").at(-1));
+  assert.deepEqual(entry.engines, [
+    { engine: "google", outcome: "error", results: 0 },
+    { engine: "duckduckgo", outcome: "results", results: 1 },
+  ]);
+});
+
+test("an idle daemon shuts itself down after idleTimeoutMs without requests", async (t) => {
+  const { daemon, exits } = await startDaemon(t, { idleTimeoutMs: 200 });
+
+  await waitFor(() => exits.length > 0, 3000);
+  assert.deepEqual(exits, [0]);
+  assert.equal(daemon.server.listening, false);
+});
+
+test("recycleAfterRequests relaunches the browser between commands", async (t) => {
+  const { chromium, connection } = await startDaemon(t, { recycleAfterRequests: 2 });
+  const fetchOne = (url) => sendDaemonCommand({ ...connection, command: "fetch", payload: { url, mode: "browser" } });
+
+  await fetchOne("https://a.example/1");
+  assert.equal(chromium.browsers.length, 1);
+  await fetchOne("https://a.example/2");
+  await waitFor(() => chromium.browsers.length === 2);
+
+  const health = await waitFor(async () => {
+    const current = await checkDaemonHealth({ ...connection, timeoutMs: 1000 });
+    return current?.browser.recycles === 1 && !current.browser.recovering ? current : null;
+  });
+  assert.equal(health.browser.connected, true);
+  assert.equal(health.browser.commandsSinceLaunch, 0);
+  assert.match(health.browser.lastRecycle.reason, /after 2 commands/);
+
+  const result = await fetchOne("https://a.example/3");
+  assert.equal(result.error, null);
+  assert.equal(chromium.browsers.length, 2);
+});
+
+test("named profiles get isolated contexts whose cookies persist across daemons", async (t) => {
+  // /login signs the tab's context in; every fetch reports the cookies it saw.
+  const fetchPage = async (page, url) => {
+    if (url.endsWith("/login")) await page.context().addCookies([{ name: "user", value: "alice" }]);
+    const cookies = await page.context().cookies();
+    return { title: cookies.map((cookie) => cookie.value).join(",") };
+  };
+  const first = await startDaemon(t, { fetchPage });
+  const fetchAs = (connection, profile, url) => sendDaemonCommand({
+    ...connection,
+    command: "fetch",
+    payload: { url, profile, mode: "browser" },
+  });
+
+  await fetchAs(first.connection, "alice", "https://site.example/login");
+  assert.equal((await fetchAs(first.connection, "alice", "https://site.example/")).title, "alice");
+  assert.equal((await fetchAs(first.connection, "bob", "https://site.example/")).title, "");
+  assert.equal((await fetchAs(first.connection, undefined, "https://site.example/")).title, "logged-in");
+
+  const profilesDir = join(first.stateDir, "profiles");
+  assert.deepEqual(JSON.parse(readFileSync(join(profilesDir, "alice.json"), "utf-8")).cookies, [{ name: "user", value: "alice" }]);
+
+  const profiles = await listDaemonProfiles(first.connection);
+  assert.deepEqual(profiles.map(({ name, open }) => [name, open]), [["default", true], ["alice", true], ["bob", true]]);
+
+  // A new daemon on the same profiles directory starts alice signed in.
+  const second = await startDaemon(t, { fetchPage, profilesDir });
+  assert.equal((await fetchAs(second.connection, "alice", "https://site.example/")).title, "alice");
+
+  assert.deepEqual(await removeDaemonProfile({ ...first.connection, name: "alice" }), { name: "alice", removed: true });
+  assert.equal((await listDaemonProfiles(first.connection)).some((profile) => profile.name === "alice"), false);
+  assert.equal(existsSync(join(profilesDir, "alice.json")), false);
+  await assert.rejects(removeDaemonProfile({ ...first.connection, name: "default" }), /cannot be removed/);
+});
+
+test("ensureDaemonRunning drains and restarts a daemon started with different settings", async (t) => {
+  const events = [];
+  let releasePage;
+  const old = await startDaemon(t, {
+    version: "1.2.0",
+    configHash: "old-settings",
+    fetchPage: async () => {
+      await new Promise((resolve) => (releasePage = resolve));
+      events.push("in-flight page done");
+      return {};
+    },
+  });
+
+  // A command another client started keeps the old daemon busy for a while.
+  const inFlight = sendDaemonCommand({ ...old.connection, command: "fetch", payload: { url: "https://a.example/", mode: "browser" } });
+  await waitFor(() => releasePage);
+  setTimeout(() => releasePage(), 300);
+
+  let replacement = null;
+  const health = await ensureDaemonRunning({
+    ...old.connection,
+    daemonPidFile: join(old.stateDir, "daemon.pid"),
+    expected: { version: "1.2.0", configHash: "new-settings" },
+    stop: async () => {
+      events.push("stop");
+      old.daemon.server.closeAllConnections();
+      await old.daemon.shutdown();
+    },
+    start: async () => {
+      replacement = await startDaemon(t, { daemonPort: old.port, dir: old.stateDir, version: "1.2.0", configHash: "new-settings" });
+      // Like startDaemonInBackground, poll until the new daemon answers.
+      return await waitFor(() => checkDaemonHealth(replacement.connection));
+    },
+  });
+
+  assert.equal((await inFlight).error, null);
+  assert.deepEqual(events, ["in-flight page done", "stop"]);
+  assert.deepEqual(old.exits, [0]);
+  assert.equal(health.configHash, "new-settings");
+  assert.equal(replacement.port, old.port);
+});
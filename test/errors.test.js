@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+import { WebBrowseError, classifyError, exitCodeForError, exitCodeForResults, EXIT_CODES } from "../lib/errors.js";
+import { normalizeProfileName } from "../lib/profiles.js";
+import { normalizeSearchFilters, resolveSearchEngines } from "../lib/search.js";
+import { normalizeFetchMode } from "../lib/smart-fetch.js";
+
+const CLI = fileURLToPath(new URL("../web-browse.js", import.meta.url));
+
+test("classifyError maps common failure messages to codes", () => {
+  assert.equal(classifyError(null), null);
+  assert.equal(classifyError("Timeout after 45s"), "TIMEOUT");
+  assert.equal(classifyError("page.goto: net::ERR_NAME_NOT_RESOLVED at https://x.invalid"), "DNS");
+  assert.equal(classifyError("connect ECONNREFUSED 127.0.0.1:80"), "CONNECTION");
+  assert.equal(classifyError("HTTP 404 Not Found"), "HTTP_4XX");
+  assert.equal(classifyError("HTTP 503 Service Unavailable"), "HTTP_5XX");
+  assert.equal(classifyError("Not HTML: application/pdf"), "NOT_HTML");
+  assert.equal(classifyError('Bot protection challenge did not clear (title="Just a moment")'), "BOT_BLOCKED");
+  assert.equal(classifyError("DuckDuckGo blocked automated access"), "SEARCH_BLOCKED");
+  assert.equal(classifyError("request req-3 cancelled: client disconnected"), "CANCELLED");
+  assert.equal(classifyError("something odd"), "UNKNOWN");
+});
+
+test("classifyError prefers the code of a WebBrowseError and reads error causes", () => {
+  assert.equal(classifyError(new WebBrowseError("BROWSER_LAUNCH", "no browser")), "BROWSER_LAUNCH");
+  assert.equal(new WebBrowseError("NOPE", "x").code, "UNKNOWN");
+
+  const err = new TypeError("fetch failed", { cause: Object.assign(new Error("getaddrinfo ENOTFOUND x.invalid"), { code: "ENOTFOUND" }) });
+  assert.equal(classifyError(err), "DNS");
+});
+
+test("exitCodeForResults distinguishes success, partial and total failure", () => {
+  assert.equal(exitCodeForResults([{ error: null }, { error: null }]), 0);
+  assert.equal(exitCodeForResults([{ error: null }, { error: "Timeout after 45s", errorCode: "TIMEOUT" }]), EXIT_CODES.PARTIAL);
+  assert.equal(exitCodeForResults([{ error: "HTTP 502 Bad Gateway" }]), EXIT_CODES.HTTP_5XX);
+  assert.equal(exitCodeForError("UNKNOWN"), 1);
+  assert.equal(exitCodeForError("NOT_A_CODE"), 1);
+});
+
+test("bad option values throw INVALID_ARGUMENT, which has its own exit code", () => {
+  const invalid = { code: "INVALID_ARGUMENT" };
+  assert.throws(() => normalizeSearchFilters({ since: "decade" }), invalid);
+  assert.throws(() => resolveSearchEngines("google,altavista"), invalid);
+  assert.throws(() => resolveSearchEngines(","), invalid);
+  assert.throws(() => normalizeFetchMode("curl"), invalid);
+  assert.throws(() => normalizeProfileName("../escape"), invalid);
+
+  assert.equal(classifyError(new WebBrowseError("INVALID_ARGUMENT", "bad")), "INVALID_ARGUMENT");
+  assert.equal(exitCodeForError("INVALID_ARGUMENT"), 2);
+});
+
+test("the CLI exits with the INVALID_ARGUMENT code on bad arguments", () => {
+  for (const args of [["query", "--since", "decade"], ["query", "--engine", "altavista"], ["--cache", "prune"]]) {
+    const run = spawnSync(process.execPath, [CLI, ...args, "--no-daemon"], { encoding: "utf-8", timeout: 30000 });
+    assert.equal(run.status, EXIT_CODES.INVALID_ARGUMENT, args.join(" "));
+    assert.match(run.stderr, /^Error \[INVALID_ARGUMENT\]: /m);
+  }
+});
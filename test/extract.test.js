@@ -1,7 +1,8 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { parseHtmlToContent } from "../lib/extract.js";
+import { buildOutline, extractSection, formatOutline, parseHtmlToContent } from "../lib/extract.js";
+import { formatMetadataHeader } from "../lib/metadata.js";
 
 test("parseHtmlToContent extracts title and text", () => {
   const html = `<!doctype html>
@@ -30,3 +31,117 @@ test("parseHtmlToContent does not truncate when truncate=false", () => {
   assert.ok(out.content.length >= 3900);
   assert.doesNotMatch(out.content, /truncated/);
 });
+
+const SECTIONED_HTML = (() => {
+  const p = `<p>${"Lorem ipsum dolor sit amet, consectetur adipiscing elit. ".repeat(12)}</p>`;
+  return `<!doctype html><html><head><title>Guide</title></head><body><article><h1>Guide</h1>${p}
+    <h2 id="install">Install</h2>${p}
+    <section id="config"><h2>Configuration</h2>${p}<h3><a name="env"></a>Env vars</h3>${p}<pre><code># not a heading</code></pre></section>
+    <h2><a id="usage" href="#usage">Usage_notes</a></h2>${p}</article></body></html>`;
+})();
+
+test("parseHtmlToContent returns the heading outline with anchors and sizes", () => {
+  const out = parseHtmlToContent(SECTIONED_HTML, "https://example.com/guide", true);
+
+  assert.deepEqual(
+    out.outline.map(({ level, text, anchor }) => [level, text, anchor]),
+    [
+      [2, "Install", "install"],
+      [2, "Configuration", "config"],
+      [3, "Env vars", "env"],
+      [2, "Usage_notes", "usage"],
+    ],
+  );
+  const [, config, env] = out.outline;
+  assert.ok(config.tokens > env.tokens);
+  assert.match(formatOutline(out.outline), /^- Install \(#install\) · ~\d+ tokens\n- Configuration \(#config\)/);
+  assert.match(formatOutline(out.outline), /\n {2}- Env vars \(#env\)/);
+});
+
+test("extractSection finds sections by anchor, slug or heading text", () => {
+  const out = parseHtmlToContent(SECTIONED_HTML, "https://example.com/guide", false);
+
+  const config = extractSection(out.content, out.outline, "#config");
+  assert.match(config.content, /^## Configuration/);
+  assert.match(config.content, /### Env vars/);
+  assert.doesNotMatch(config.content, /Usage/);
+
+  assert.equal(extractSection(out.content, out.outline, "#usage_notes").text, "Usage_notes");
+  assert.equal(extractSection(out.content, out.outline, "env VARS").anchor, "env");
+  assert.equal(extractSection(out.content, out.outline, "usage").anchor, "usage");
+  assert.equal(extractSection(out.content, out.outline, "#missing"), null);
+});
+
+test("buildOutline ignores headings inside code fences", () => {
+  const outline = buildOutline("# Top\n\n```sh\n# comment\n```\n\n## Next\n\ntext");
+  assert.deepEqual(outline.map((heading) => heading.text), ["Top", "Next"]);
+  assert.equal(outline[0].anchor, null);
+});
+
+test("parseHtmlToContent lists outbound links without site chrome", () => {
+  const html = `<!doctype html><html><head><title>Guide</title></head><body>
+    <header><a href="/">Home</a></header><nav><a href="/docs">Docs</a></nav>
+    <article><header><a href="/authors/kim">Kim</a></header><h1>Guide</h1>
+      <p>Read <a href="/docs/config">the config guide</a> or <a href="https://other.example/x?utm_source=a">Other</a>.</p>
+      <p><a href="#top">top</a> <a href="https://other.example/x">Other again</a> <a href="mailto:x@y.example">mail</a>
+      <a href="/docs/next"><img alt="Next page"></a></p>
+    </article>
+    <aside><a href="/related">Related</a></aside><footer><a href="/privacy">Privacy</a></footer></body></html>`;
+
+  const out = parseHtmlToContent(html, "https://docs.example/guide", true);
+
+  assert.deepEqual(out.links, [
+    { url: "https://docs.example/authors/kim", text: "Kim" },
+    { url: "https://docs.example/docs/config", text: "the config guide" },
+    { url: "https://other.example/x?utm_source=a", text: "Other" },
+    { url: "https://docs.example/docs/next", text: "Next page" },
+  ]);
+});
+
+test("parseHtmlToContent extracts page metadata from meta tags and JSON-LD", () => {
+  const html = `<!doctype html><html lang="en-GB"><head><title>Release notes</title>
+    <link rel="canonical" href="/blog/release-2">
+    <meta property="og:title" content="Release 2"><meta property="og:type" content="article">
+    <meta property="og:site_name" content="Example Blog">
+    <meta property="article:modified_time" content="2024-05-02T08:00:00Z">
+    <script type="application/ld+json">{"@context":"https://schema.org","@graph":[
+      {"@type":"BlogPosting","headline":"Release 2","datePublished":"2024-03-01T10:00:00Z",
+       "author":[{"@type":"Person","name":"Kim Doe"},{"@type":"Person","name":"Ari Roe"}]}]}</script>
+    <script type="application/ld+json">{ not json</script>
+    </head><body><article><h1>Release 2</h1><p>What changed in this release, and why.</p></article></body></html>`;
+
+  const { metadata } = parseHtmlToContent(html, "https://blog.example/blog/release-2?utm_source=feed", true);
+
+  assert.equal(metadata.author, "Kim Doe, Ari Roe");
+  assert.equal(metadata.publishedTime, "2024-03-01T10:00:00.000Z");
+  assert.equal(metadata.modifiedTime, "2024-05-02T08:00:00.000Z");
+  assert.equal(metadata.siteName, "Example Blog");
+  assert.equal(metadata.canonicalUrl, "https://blog.example/blog/release-2");
+  assert.equal(metadata.lang, "en-GB");
+  assert.deepEqual(metadata.openGraph, { title: "Release 2", type: "article", site_name: "Example Blog" });
+  assert.equal(metadata.jsonLd.length, 1);
+  assert.equal(metadata.jsonLd[0]["@type"], "BlogPosting");
+});
+
+test("formatMetadataHeader shows author, dates and a canonical URL that differs", () => {
+  const metadata = {
+    author: "Kim Doe",
+    publishedTime: "2024-03-01T10:00:00.000Z",
+    modifiedTime: "2024-05-02T08:00:00.000Z",
+    canonicalUrl: "https://blog.example/blog/release-2",
+  };
+
+  assert.equal(
+    formatMetadataHeader(metadata, "https://blog.example/amp/release-2"),
+    "By: Kim Doe · Published: 2024-03-01 · Updated: 2024-05-02 · Canonical: https://blog.example/blog/release-2",
+  );
+  assert.equal(
+    formatMetadataHeader(metadata, "https://www.blog.example/blog/release-2/?utm_source=feed"),
+    "By: Kim Doe · Published: 2024-03-01 · Updated: 2024-05-02",
+  );
+  assert.equal(
+    formatMetadataHeader({ ...metadata, author: null, modifiedTime: "2024-03-01T18:00:00Z" }, metadata.canonicalUrl),
+    "Published: 2024-03-01",
+  );
+  assert.equal(formatMetadataHeader(null, "https://blog.example/"), "");
+});
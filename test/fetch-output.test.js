@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+
+import { toFetchRecord } from "../lib/fetch-output.js";
+
+const CLI = fileURLToPath(new URL("../web-browse.js", import.meta.url));
+const RECORD_KEYS = [
+  "url", "finalUrl", "title", "content", "error", "errorCode", "timings", "strategy",
+  "chunk", "section", "focus", "outline", "links", "metadata", "cached",
+];
+
+test("toFetchRecord gives successes and failures the same keys", () => {
+  const ok = toFetchRecord({ url: "https://a.example/", title: "A", content: "# A\n\nText", strategy: "http" });
+  assert.deepEqual(Object.keys(ok), RECORD_KEYS);
+  assert.equal(ok.finalUrl, "https://a.example/");
+  assert.equal(ok.error, null);
+  assert.equal(ok.errorCode, null);
+  assert.equal(ok.outline, null);
+  assert.equal(ok.cached, false);
+
+  const failed = toFetchRecord({ url: "https://b.example/", error: "HTTP 404 Not Found" });
+  assert.deepEqual(Object.keys(failed), RECORD_KEYS);
+  assert.equal(failed.errorCode, "HTTP_4XX");
+  assert.equal(failed.content, "");
+  assert.equal(toFetchRecord({ url: "https://b.example/", error: "gone", errorCode: "DNS" }).errorCode, "DNS");
+});
+
+test("toFetchRecord fills outline and links only when asked for", () => {
+  const result = { url: "https://a.example/", content: "# A\n\n## B\n\nText", links: [{ index: 1, url: "https://c.example/", text: "C" }] };
+
+  const record = toFetchRecord(result, { outline: true, links: true });
+  assert.deepEqual(record.outline.map((heading) => heading.text), ["A", "B"]);
+  assert.deepEqual(record.links, result.links);
+  assert.equal(toFetchRecord(result).links, null);
+});
+
+function runCli(args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI, ...args], { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.resume();
+    const timer = setTimeout(() => child.kill(), 30000);
+    child.on("close", (status) => {
+      clearTimeout(timer);
+      resolve({ status, stdout });
+    });
+  });
+}
+
+test("the CLI prints --json and --jsonl fetch records, with errors and their exit code", async (t) => {
+  const server = createServer((req, res) => {
+    if (req.url === "/missing") {
+      res.writeHead(404, { "Content-Type": "text/html" });
+      res.end("<html><body>Not here</body></html>");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(`<html><head><title>Doc</title></head><body><main><h1>Doc</h1><p>${"Plain text. ".repeat(100)}</p></main></body></html>`);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const oneShot = ["--no-daemon", "--fetch-mode", "http", "--no-cache"];
+
+  const ok = await runCli(["--url", `${base}/doc`, "--json", ...oneShot]);
+  assert.equal(ok.status, 0);
+  const records = JSON.parse(ok.stdout);
+  assert.equal(records.length, 1);
+  assert.deepEqual(Object.keys(records[0]), RECORD_KEYS);
+  assert.equal(records[0].title, "Doc");
+  assert.equal(records[0].strategy, "http");
+  assert.equal(records[0].error, null);
+
+  const missing = await runCli(["--url", `${base}/missing`, "--jsonl", ...oneShot]);
+  assert.equal(missing.status, 13);
+  const lines = missing.stdout.trim().split("\n").map((line) => JSON.parse(line));
+  assert.equal(lines.length, 1);
+  assert.deepEqual(Object.keys(lines[0]), RECORD_KEYS);
+  assert.equal(lines[0].errorCode, "HTTP_4XX");
+  assert.match(lines[0].error, /404/);
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { focusContent, scorePassages, splitPassages, tokenizeForSearch } from "../lib/focus.js";
+
+const filler = (topic) => `${topic} ${"general background text about the project ".repeat(6).trim()}.`;
+
+const PAGE = [
+  "# Guide",
+  filler("Welcome"),
+  "## Install",
+  "Run npm install to add the package. Node 18 or newer is required.",
+  "## Configuration",
+  filler("Overview"),
+  "### Retries",
+  "Set retries to the number of attempts; retries back off exponentially between attempts.",
+  "## FAQ",
+  filler("Questions"),
+].join("\n\n");
+
+test("tokenizeForSearch lowercases and drops stopwords", () => {
+  assert.deepEqual(tokenizeForSearch("How do I configure the Retries in v2?"), ["configure", "retries", "v2"]);
+});
+
+test("splitPassages keeps the heading path of each passage", () => {
+  const passages = splitPassages(PAGE);
+  const retries = passages.find((passage) => passage.text.startsWith("Set retries"));
+  assert.deepEqual(retries.headings, ["Guide", "Configuration", "Retries"]);
+  assert.equal(passages.length, 5);
+});
+
+test("scorePassages ranks the passage that matches the query first", () => {
+  const scored = scorePassages(splitPassages(PAGE), "how many retries");
+  const best = [...scored].sort((a, b) => b.score - a.score)[0];
+  assert.match(best.text, /^Set retries/);
+  assert.equal(scored.find((passage) => passage.text.startsWith("Welcome")).score, 0);
+});
+
+test("focusContent returns matching passages with heading context", () => {
+  const focused = focusContent(PAGE, "install node version", { maxTokens: 100 });
+  assert.equal(focused.total, 5);
+  assert.equal(focused.shown, 1);
+  assert.match(focused.content, /^## Guide › Install\n\nRun npm install/);
+
+  const both = focusContent(PAGE, "install retries", { maxTokens: 200 });
+  assert.match(both.content, /Run npm install[\s\S]*\n\n…\n\n## Guide › Configuration › Retries\n\nSet retries/);
+});
+
+test("focusContent returns null when nothing matches", () => {
+  assert.equal(focusContent(PAGE, "kubernetes helm chart"), null);
+  assert.equal(focusContent(PAGE, "the"), null);
+});
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createMetricsRegistry, createDaemonMetrics, classifyErrorMessage } from "../lib/metrics.js";
+
+test("createMetricsRegistry renders counters and cumulative histogram buckets", () => {
+  const registry = createMetricsRegistry();
+  const requests = registry.counter("demo_requests_total", "Requests.");
+  const latency = registry.histogram("demo_latency_seconds", "Latency.", [1, 5]);
+
+  requests.inc({ command: "fetch" });
+  requests.inc({ command: "fetch" }, 2);
+  latency.observe({ command: "fetch" }, 0.5);
+  latency.observe({ command: "fetch" }, 3);
+  latency.observe({ command: "fetch" }, 9);
+
+  const text = registry.render();
+  assert.match(text, /# TYPE demo_requests_total counter/);
+  assert.match(text, /^demo_requests_total\{command="fetch"\} 3$/m);
+  assert.match(text, /^demo_latency_seconds_bucket\{command="fetch",le="1"\} 1$/m);
+  assert.match(text, /^demo_latency_seconds_bucket\{command="fetch",le="5"\} 2$/m);
+  assert.match(text, /^demo_latency_seconds_bucket\{command="fetch",le="\+Inf"\} 3$/m);
+  assert.match(text, /^demo_latency_seconds_sum\{command="fetch"\} 12.5$/m);
+});
+
+test("classifyErrorMessage buckets common failures", () => {
+  assert.equal(classifyErrorMessage(null), "none");
+  assert.equal(classifyErrorMessage("Timeout after 45s"), "timeout");
+  assert.equal(classifyErrorMessage("page.goto: net::ERR_NAME_NOT_RESOLVED at https://x.invalid"), "dns");
+  assert.equal(classifyErrorMessage('Bot protection challenge did not clear (title="Just a moment")'), "bot_blocked");
+  assert.equal(classifyErrorMessage("HTTP 503: Service Unavailable"), "http_5xx");
+  assert.equal(classifyErrorMessage("request req-4 cancelled: client disconnected"), "cancelled");
+  assert.equal(classifyErrorMessage("something odd"), "unknown");
+  assert.equal(classifyErrorMessage("Not HTML: application/pdf", "NOT_HTML"), "not_html");
+});
+
+test("createDaemonMetrics records bot protection and search fallbacks", () => {
+  const metrics = createDaemonMetrics();
+  metrics.recordCommand({ command: "fetch", durationMs: 1200 });
+  metrics.recordPage({ error: null, botProtection: { detected: true, cleared: true, waitedMs: 4000 } });
+  metrics.recordSearchAttempt({ engine: "google", outcome: "error" });
+  metrics.recordSearchFallback({ from: "google", to: "duckduckgo" });
+
+  const text = metrics.render();
+  assert.match(text, /^web_browse_commands_total\{command="fetch",outcome="success",class="none"\} 1$/m);
+  assert.match(text, /^web_browse_bot_protection_detections_total\{cleared="true"\} 1$/m);
+  assert.match(text, /^web_browse_bot_protection_clear_seconds_sum 4$/m);
+  assert.match(text, /^web_browse_search_fallbacks_total\{from="google",to="duckduckgo"\} 1$/m);
+});
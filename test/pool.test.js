@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { mapWithConcurrency, createSemaphore } from "../lib/pool.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("mapWithConcurrency keeps input order", async () => {
+  const out = await mapWithConcurrency([30, 5, 15, 1], 3, async (ms, i) => {
+    await sleep(ms);
+    return `${i}:${ms}`;
+  });
+  assert.deepEqual(out, ["0:30", "1:5", "2:15", "3:1"]);
+});
+
+test("mapWithConcurrency never exceeds the limit", async () => {
+  let active = 0;
+  let peak = 0;
+
+  await mapWithConcurrency(Array.from({ length: 8 }, (_, i) => i), 3, async () => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await sleep(5);
+    active -= 1;
+  });
+
+  assert.equal(peak, 3);
+});
+
+test("mapWithConcurrency handles empty input", async () => {
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+});
+
+test("createSemaphore hands out slots in FIFO order", async () => {
+  const semaphore = createSemaphore(2);
+  const order = [];
+
+  const releaseA = await semaphore.acquire();
+  const releaseB = await semaphore.acquire();
+  const c = semaphore.acquire().then((release) => {
+    order.push("c");
+    return release;
+  });
+  const d = semaphore.acquire().then((release) => {
+    order.push("d");
+    return release;
+  });
+
+  assert.equal(semaphore.active, 2);
+  assert.equal(semaphore.waiting, 2);
+
+  releaseA();
+  releaseA(); // double release is ignored
+  const releaseC = await c;
+  assert.deepEqual(order, ["c"]);
+  assert.equal(semaphore.waiting, 1);
+
+  releaseB();
+  const releaseD = await d;
+  assert.deepEqual(order, ["c", "d"]);
+
+  releaseC();
+  releaseD();
+  assert.equal(semaphore.active, 0);
+});
+
+test("createSemaphore drops waiters whose signal aborts", async () => {
+  const semaphore = createSemaphore(1);
+  const release = await semaphore.acquire();
+  const controller = new AbortController();
+
+  const waiting = semaphore.acquire(controller.signal);
+  assert.equal(semaphore.waiting, 1);
+
+  controller.abort(new Error("cancelled"));
+  await assert.rejects(waiting, /cancelled/);
+  assert.equal(semaphore.waiting, 0);
+
+  release();
+  assert.equal(semaphore.active, 0);
+  await assert.rejects(semaphore.acquire(controller.signal), /cancelled/);
+});
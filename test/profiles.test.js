@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  DEFAULT_PROFILE,
+  normalizeProfileName,
+  getProfileStatePath,
+  listProfiles,
+  removeProfile,
+} from "../lib/profiles.js";
+
+test("normalizeProfileName maps empty names to the default profile and rejects unsafe ones", () => {
+  assert.equal(normalizeProfileName(undefined), DEFAULT_PROFILE);
+  assert.equal(normalizeProfileName(""), DEFAULT_PROFILE);
+  assert.equal(normalizeProfileName(" work "), "work");
+  assert.equal(normalizeProfileName("client-a.v2"), "client-a.v2");
+
+  for (const bad of ["../etc", "a/b", ".hidden", "x".repeat(65), "with space"]) {
+    assert.throws(() => normalizeProfileName(bad), /invalid profile name/);
+  }
+});
+
+test("listProfiles and removeProfile work on the saved storage-state files", () => {
+  const dir = mkdtempSync(join(tmpdir(), "web-browse-profiles-test-"));
+  writeFileSync(getProfileStatePath(dir, "work"), "{}");
+  writeFileSync(getProfileStatePath(dir, "personal"), "{}");
+  writeFileSync(join(dir, "notes.txt"), "ignored");
+
+  assert.deepEqual(listProfiles(dir).map((profile) => profile.name), ["personal", "work"]);
+
+  assert.equal(removeProfile(dir, "work"), true);
+  assert.equal(removeProfile(dir, "work"), false);
+  assert.throws(() => removeProfile(dir, DEFAULT_PROFILE), /cannot be removed/);
+  assert.deepEqual(listProfiles(dir).map((profile) => profile.name), ["personal"]);
+  assert.deepEqual(listProfiles(join(dir, "missing")), []);
+});
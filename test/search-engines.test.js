@@ -0,0 +1,224 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  resolveSearchEngines,
+  runSearchEngine,
+  extractBingResults,
+  extractBraveResults,
+  extractSearxngResults,
+  decodeBingRedirect,
+  mergeSearchResults,
+  normalizeSearchFilters,
+  buildSearchQuery,
+  buildGoogleSearchUrl,
+  SEARCH_ENGINES,
+  searchWebFromContext,
+} from "../lib/search.js";
+
+test("resolveSearchEngines keeps order and resolves aliases", () => {
+  const engines = resolveSearchEngines("bing, ddg,google,duckduckgo");
+  assert.deepEqual(engines.map((e) => e.name), ["bing", "duckduckgo", "google"]);
+});
+
+test("resolveSearchEngines falls back to env, then default order", () => {
+  assert.deepEqual(resolveSearchEngines(null, { WEB_BROWSE_ENGINES: "brave" }).map((e) => e.name), ["brave"]);
+  assert.deepEqual(resolveSearchEngines(null, {}).map((e) => e.name), ["google", "duckduckgo"]);
+});
+
+test("resolveSearchEngines rejects unknown engines", () => {
+  assert.throws(() => resolveSearchEngines("altavista"), /Unknown search engine: altavista/);
+});
+
+test("runSearchEngine fetches and parses http engines and tags results", async () => {
+  const html = `<ol id="b_results">
+    <li class="b_algo"><h2><a href="https://example.com/a">Result A</a></h2><div class="b_caption"><p>Snippet A</p></div></li>
+  </ol>`;
+  const calls = [];
+  const httpFetch = async (url) => {
+    calls.push(url);
+    return { ok: true, status: 200, text: async () => html };
+  };
+
+  const [engine] = resolveSearchEngines("bing");
+  const out = await runSearchEngine(engine, { httpFetch, headers: {}, query: "a b", numResults: 5 });
+
+  assert.match(calls[0], /^https:\/\/www\.bing\.com\/search\?q=a%20b/);
+  assert.equal(out.features, null);
+  assert.deepEqual(out.results, [{ title: "Result A", link: "https://example.com/a", snippet: "Snippet A", engine: "bing" }]);
+});
+
+test("searchWebFromContext stops at the first engine with results unless merging", async () => {
+  const bingHtml = `<li class="b_algo"><h2><a href="https://example.com/shared?utm_source=bing">Shared</a></h2><p>Bing</p></li>
+    <li class="b_algo"><h2><a href="https://example.com/bing-only">Bing only</a></h2><p>Bing</p></li>`;
+  const braveHtml = `<div id="results">
+    <div class="snippet" data-type="web"><a href="https://example.com/brave-only"><div class="title">Brave only</div></a></div>
+    <div class="snippet" data-type="web"><a href="https://example.com/shared"><div class="title">Shared</div></a></div>
+  </div>`;
+  const opened = [];
+  const context = {
+    newPage: async () => {
+      opened.push("brave");
+      return {
+        goto: async () => {},
+        waitForTimeout: async () => {},
+        content: async () => braveHtml,
+        isClosed: () => false,
+        close: async () => {},
+      };
+    },
+  };
+  const options = {
+    context,
+    httpFetch: async () => ({ ok: true, status: 200, text: async () => bingHtml }),
+    headers: {},
+    query: "shared",
+    numResults: 5,
+    engines: "bing,brave",
+    log: () => {},
+  };
+
+  const firstOnly = await searchWebFromContext(options);
+  assert.deepEqual(firstOnly.results.map((result) => result.engine), ["bing", "bing"]);
+  assert.deepEqual(opened, []);
+
+  const merged = await searchWebFromContext({ ...options, merge: true });
+  assert.deepEqual(merged.results.map((result) => result.link), [
+    "https://example.com/shared?utm_source=bing",
+    "https://example.com/brave-only",
+    "https://example.com/bing-only",
+  ]);
+  assert.deepEqual(merged.results[0].engines, ["bing", "brave"]);
+});
+
+test("decodeBingRedirect unwraps /ck/a links", () => {
+  const target = "https://example.org/docs?x=1";
+  const encoded = "a1" + Buffer.from(target).toString("base64url");
+  assert.equal(decodeBingRedirect(`https://www.bing.com/ck/a?!&&p=abc&u=${encoded}&ntb=1`), target);
+  assert.equal(decodeBingRedirect("https://example.com/"), "https://example.com/");
+});
+
+test("extractBingResults skips bing-internal links", () => {
+  const html = `
+    <li class="b_algo"><h2><a href="https://www.bing.com/images/search?q=x">Images</a></h2></li>
+    <li class="b_algo"><h2><a href="https://example.com/">Example</a></h2><p class="b_lineclamp2">Example snippet</p></li>`;
+  const out = extractBingResults(html, 5);
+  assert.equal(out.length, 1);
+  assert.equal(out[0].snippet, "Example snippet");
+});
+
+test("extractBraveResults extracts web snippets", () => {
+  const html = `<div id="results">
+    <div class="snippet" data-type="web">
+      <a href="https://example.com/brave"><div class="title">Brave Result</div></a>
+      <div class="snippet-description">Brave snippet</div>
+    </div>
+    <div class="snippet" data-type="news"><a href="https://news.example.com/">News</a></div>
+  </div>`;
+  const out = extractBraveResults(html, 5);
+  assert.deepEqual(out, [{ title: "Brave Result", link: "https://example.com/brave", snippet: "Brave snippet" }]);
+});
+
+test("extractSearxngResults extracts article results", () => {
+  const html = `<div id="urls">
+    <article class="result result-default">
+      <a href="https://example.com/s" class="url_header">example.com</a>
+      <h3><a href="https://example.com/s">SearX Result</a></h3>
+      <p class="content">SearX snippet</p>
+    </article>
+  </div>`;
+  const out = extractSearxngResults(html, 5);
+  assert.deepEqual(out, [{ title: "SearX Result", link: "https://example.com/s", snippet: "SearX snippet" }]);
+});
+
+test("mergeSearchResults de-duplicates by canonical URL and fuses ranks", () => {
+  const google = [
+    { title: "A", link: "https://example.com/a", snippet: "", engine: "google" },
+    { title: "B", link: "https://example.com/b", snippet: "b", engine: "google" },
+  ];
+  const ddg = [
+    { title: "B (ddg)", link: "https://www.example.com/b/?utm_source=ddg", snippet: "b ddg", engine: "duckduckgo" },
+    { title: "C", link: "https://example.com/c", snippet: "c", engine: "duckduckgo" },
+  ];
+
+  const out = mergeSearchResults([google, ddg]);
+
+  assert.deepEqual(out.map((r) => r.title), ["B (ddg)", "A", "C"]);
+  assert.deepEqual(out[0].engines, ["google", "duckduckgo"]);
+  assert.deepEqual(out[1].engines, ["google"]);
+});
+
+test("normalizeSearchFilters splits lists and validates --since", () => {
+  const filters = normalizeSearchFilters({ site: "a.com, b.org", filetype: ".PDF", since: "Week", region: "DE" });
+  assert.deepEqual(filters, {
+    site: ["a.com", "b.org"],
+    excludeSite: [],
+    filetype: "pdf",
+    since: "week",
+    region: "de",
+    lang: null,
+  });
+  assert.throws(() => normalizeSearchFilters({ since: "decade" }), /Invalid --since value/);
+});
+
+test("buildSearchQuery adds site/exclude/filetype operators", () => {
+  const filters = normalizeSearchFilters({ site: "a.com,b.org", excludeSite: "spam.com", filetype: "pdf" });
+  assert.equal(buildSearchQuery("rust", filters), "rust (site:a.com OR site:b.org) -site:spam.com filetype:pdf");
+  assert.equal(buildSearchQuery("rust", normalizeSearchFilters({ site: "a.com" })), "rust site:a.com");
+});
+
+test("engines translate time range, region and language", () => {
+  const filters = normalizeSearchFilters({ since: "week", region: "de", lang: "de" });
+
+  const google = buildGoogleSearchUrl("q", 5, { filters });
+  assert.match(google, /hl=de&gl=de/);
+  assert.match(google, /lr=lang_de/);
+  assert.match(google, /tbs=qdr:w/);
+  assert.match(buildGoogleSearchUrl("q", 5, {}), /hl=en&gl=us/);
+
+  const bing = SEARCH_ENGINES.bing.buildUrl("q", 5, { filters });
+  assert.match(bing, /cc=de&setlang=de/);
+  assert.match(bing, /filters=ex1%3A%22ez2%22/);
+
+  assert.match(SEARCH_ENGINES.brave.buildUrl("q", 5, { filters }), /country=de&search_lang=de&tf=pw/);
+});
+
+test("DuckDuckGo receives locale and time range parameters", async () => {
+  const calls = [];
+  const httpFetch = async (url, opts) => {
+    calls.push({ url, headers: opts.headers });
+    return { ok: true, status: 200, text: async () => `<div class="result"><a class="result__a" href="https://example.de/">Beispiel</a></div>` };
+  };
+
+  const [engine] = resolveSearchEngines("ddg");
+  await runSearchEngine(engine, {
+    httpFetch,
+    headers: {},
+    query: "release notes",
+    numResults: 5,
+    filters: normalizeSearchFilters({ since: "month", lang: "tr" }),
+  });
+
+  assert.match(calls[0].url, /kl=tr-tr&df=m/);
+  assert.match(calls[0].headers["Accept-Language"], /^tr/);
+});
+
+test("engines translate page numbers into offsets", () => {
+  assert.doesNotMatch(buildGoogleSearchUrl("q", 10), /start=/);
+  assert.match(buildGoogleSearchUrl("q", 10, { page: 3 }), /start=20/);
+  assert.match(SEARCH_ENGINES.bing.buildUrl("q", 5, { page: 2 }), /first=6/);
+  assert.match(SEARCH_ENGINES.brave.buildUrl("q", 5, { page: 2 }), /offset=1/);
+});
+
+test("DuckDuckGo pages use the next-page form offsets", async () => {
+  const calls = [];
+  const httpFetch = async (url) => {
+    calls.push(url);
+    return { ok: true, status: 200, text: async () => `<div class="result"><a class="result__a" href="https://example.com/6">Six</a></div>` };
+  };
+
+  const [engine] = resolveSearchEngines("ddg");
+  await runSearchEngine(engine, { httpFetch, headers: {}, query: "q", numResults: 5, page: 2 });
+
+  assert.match(calls[0], /[?&]s=5&dc=6/);
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { extractGoogleResults, extractGoogleFeatures } from "../lib/search.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+
+test("extractGoogleResults unwraps /url? links and skips google.com", () => {
+  const out = extractGoogleResults(fixture("google-serp-featured.html"), 10);
+
+  assert.deepEqual(out.map((r) => r.link), [
+    "https://doc.rust-lang.org/rust-by-example/scope/lifetime.html",
+    "https://doc.rust-lang.org/book/ch10-03-lifetime-syntax.html",
+  ]);
+  assert.equal(out[1].snippet, "Lifetimes are another kind of generic that we've already been using.");
+});
+
+test("extractGoogleFeatures parses featured snippet, People also ask and related searches", () => {
+  const features = extractGoogleFeatures(fixture("google-serp-featured.html"));
+
+  assert.match(features.featuredSnippet.text, /^A lifetime is a construct the compiler \(more specifically, its borrow checker\)/);
+  assert.equal(features.featuredSnippet.title, "Lifetimes - Rust By Example");
+  assert.equal(features.featuredSnippet.link, "https://doc.rust-lang.org/rust-by-example/scope/lifetime.html");
+  assert.deepEqual(features.peopleAlsoAsk, [
+    "What is a lifetime in Rust?",
+    "Why does Rust need lifetimes?",
+    "What does 'static mean in Rust?",
+  ]);
+  assert.deepEqual(features.relatedSearches, ["rust lifetime elision", "rust static lifetime"]);
+  assert.equal(features.knowledgePanel, null);
+});
+
+test("extractGoogleFeatures parses knowledge panel facts", () => {
+  const features = extractGoogleFeatures(fixture("google-serp-knowledge-panel.html"));
+  const panel = features.knowledgePanel;
+
+  assert.equal(panel.title, "Ada Lovelace");
+  assert.equal(panel.subtitle, "English mathematician");
+  assert.match(panel.description, /^Augusta Ada King/);
+  assert.equal(panel.source, "https://en.wikipedia.org/wiki/Ada_Lovelace");
+  assert.deepEqual(panel.facts, [
+    { label: "Born", value: "December 10, 1815, London, United Kingdom" },
+    { label: "Died", value: "November 27, 1852, Marylebone, London, United Kingdom" },
+    { label: "Parents", value: "Lord Byron, Lady Byron" },
+  ]);
+  assert.equal(features.featuredSnippet, null);
+});
+
+test("extractGoogleFeatures returns null for plain result pages", () => {
+  const html = `<div id="rso"><div class="g"><a href="https://example.com"><h3>Example</h3></a></div></div>`;
+  assert.equal(extractGoogleFeatures(html), null);
+});
@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveSessionId, getSearchCacheFile, isSameSearch, addToSearchHistory } from "../lib/search-history.js";
+
+const search = { numResults: 5, engines: ["google", "duckduckgo"], merge: false, filters: {}, page: 1 };
+
+test("resolveSessionId prefers --session, then the env var, then the working directory", () => {
+  assert.equal(resolveSessionId({ sessionArg: "agent-a", env: { WEB_BROWSE_SESSION: "env" }, cwd: "/p" }), "agent-a");
+  assert.equal(resolveSessionId({ env: { WEB_BROWSE_SESSION: "ci job/1" }, cwd: "/p" }), "ci_job_1");
+
+  const a = resolveSessionId({ env: {}, cwd: "/home/u/project-a" });
+  assert.match(a, /^cwd-[0-9a-f]{12}$/);
+  assert.equal(resolveSessionId({ env: {}, cwd: "/home/u/project-a" }), a);
+  assert.notEqual(resolveSessionId({ env: {}, cwd: "/home/u/project-b" }), a);
+
+  assert.equal(getSearchCacheFile("agent-a", "/tmp"), "/tmp/web-browse-cache-agent-a.json");
+});
+
+test("isSameSearch ignores the page but not the query or options", () => {
+  const entry = { query: "rust", search };
+  assert.equal(isSameSearch(entry, "rust", { ...search, page: 3 }), true);
+  assert.equal(isSameSearch(entry, "go", search), false);
+  assert.equal(isSameSearch(entry, "rust", { ...search, merge: true }), false);
+  assert.equal(isSameSearch(null, "rust", search), false);
+});
+
+test("addToSearchHistory keeps newest first, replaces repeats and stays bounded", () => {
+  let history = [];
+  for (const query of ["a", "b", "c"]) {
+    history = addToSearchHistory(history, { query, search, results: [] }, 3);
+  }
+  assert.deepEqual(history.map((entry) => entry.query), ["c", "b", "a"]);
+
+  history = addToSearchHistory(history, { query: "a", search: { ...search, page: 2 }, results: [1] }, 3);
+  assert.deepEqual(history.map((entry) => entry.query), ["a", "c", "b"]);
+  assert.deepEqual(history[0].results, [1]);
+
+  history = addToSearchHistory(history, { query: "d", search, results: [] }, 3);
+  assert.deepEqual(history.map((entry) => entry.query), ["d", "a", "c"]);
+});
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { toSearchJsonlRecords, toSearchOutput } from "../lib/search-output.js";
+
+const results = [
+  { title: "A", link: "https://a.example/", snippet: "first", engine: "google" },
+  { title: "B", link: "https://b.example/", engines: ["google", "duckduckgo"] },
+];
+const features = { featuredSnippet: { text: "Answer", link: "https://a.example/" }, relatedSearches: ["a b"] };
+const records = [
+  { rank: 6, title: "A", link: "https://a.example/", snippet: "first", engine: "google", engines: ["google"] },
+  { rank: 7, title: "B", link: "https://b.example/", snippet: "", engine: null, engines: ["google", "duckduckgo"] },
+];
+
+test("toSearchOutput is the array of ranked results unless features are asked for", () => {
+  assert.deepEqual(toSearchOutput(results, [6, 7], features), records);
+  assert.deepEqual(toSearchOutput(results, [6, 7], features, { includeFeatures: true }), { features, results: records });
+  assert.deepEqual(toSearchOutput(results, [6, 7], null, { includeFeatures: true }), { features: null, results: records });
+});
+
+test("toSearchJsonlRecords tags every record with its type", () => {
+  const typedResults = records.map((record) => ({ type: "result", ...record }));
+
+  assert.deepEqual(toSearchJsonlRecords(results, [6, 7], features), typedResults);
+  assert.deepEqual(
+    toSearchJsonlRecords(results, [6, 7], features, { includeFeatures: true }),
+    [{ type: "features", ...features }, ...typedResults],
+  );
+  assert.deepEqual(toSearchJsonlRecords(results, [6, 7], null, { includeFeatures: true }), typedResults);
+});
+
+test("a search where every engine failed prints an empty array and no JSONL records", () => {
+  assert.deepEqual(toSearchOutput([], []), []);
+  assert.deepEqual(toSearchOutput([], [], null, { includeFeatures: true }), { features: null, results: [] });
+  assert.deepEqual(toSearchJsonlRecords([], []), []);
+});
@@ -0,0 +1,174 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  browserEscalationReason,
+  createFetchStrategyMemory,
+  looksJsRendered,
+  normalizeFetchMode,
+  smartFetchUrl,
+} from "../lib/smart-fetch.js";
+
+const ARTICLE = `<html><head><title>Docs</title></head><body><main><h1>Guide</h1>${"<p>Static documentation paragraph with plenty of words in it.</p>".repeat(40)}</main></body></html>`;
+const SPA = `<html><head><title>App</title><script src="/bundle.js"></script></head><body><div id="root"></div></body></html>`;
+
+function htmlResponse(body, status = 200) {
+  return new Response(body, { status, headers: { "content-type": "text/html; charset=utf-8" } });
+}
+
+function fakeBrowser() {
+  const calls = [];
+  const fetchFromContext = async (_context, url) => {
+    calls.push(url);
+    return { url, finalUrl: url, title: "Rendered", content: "Rendered content", error: null, errorCode: null, timings: {} };
+  };
+  return { calls, fetchFromContext };
+}
+
+test("looksJsRendered flags empty app shells but not text-heavy pages", () => {
+  assert.equal(looksJsRendered(SPA, ""), true);
+  assert.equal(looksJsRendered('<noscript>Please enable JavaScript to view this site.</noscript><p>Hi</p>', "Hi"), true);
+  assert.equal(looksJsRendered('<script>1</script><div id="root"></div>', "word ".repeat(400)), false);
+  assert.equal(looksJsRendered("<p>Short static page</p>", "Short static page"), false);
+});
+
+test("browserEscalationReason covers blocks, challenges and JS rendering", () => {
+  assert.equal(browserEscalationReason({ error: "HTTP 403 Forbidden", errorCode: "HTTP_4XX", status: 403 }), "blocked (HTTP 403)");
+  assert.equal(browserEscalationReason({ error: "HTTP 404 Not Found", errorCode: "HTTP_4XX", status: 404 }), null);
+  assert.equal(browserEscalationReason({ error: "Not HTML: application/pdf", errorCode: "NOT_HTML", status: 200 }), null);
+  assert.equal(browserEscalationReason({ error: "Timeout after 15s", errorCode: "TIMEOUT", status: null }), "timeout");
+  assert.equal(browserEscalationReason({ error: null, title: "Just a moment...", content: "" }), "bot protection");
+  assert.equal(browserEscalationReason({ error: null, title: "App", content: "", html: SPA }), "js-rendered");
+});
+
+test("normalizeFetchMode accepts known modes only", () => {
+  assert.equal(normalizeFetchMode(undefined), "auto");
+  assert.equal(normalizeFetchMode(" Browser "), "browser");
+  assert.throws(() => normalizeFetchMode("curl"), /unknown fetch mode/);
+});
+
+test("createFetchStrategyMemory expires and bounds entries", () => {
+  const memory = createFetchStrategyMemory({ ttlMs: 60_000, maxEntries: 2 });
+  memory.remember("a.example", "browser", "js-rendered");
+  memory.remember("b.example", "http");
+  memory.remember("c.example", "http");
+  assert.equal(memory.size, 2);
+  assert.equal(memory.get("a.example"), null);
+  assert.equal(memory.get("c.example").strategy, "http");
+
+  const expired = createFetchStrategyMemory({ ttlMs: 0 });
+  expired.remember("a.example", "browser");
+  assert.equal(expired.get("a.example"), null);
+});
+
+test("smartFetchUrl keeps static pages on HTTP", async () => {
+  const browser = fakeBrowser();
+  const memory = createFetchStrategyMemory();
+  const result = await smartFetchUrl({
+    url: "https://docs.example/guide",
+    truncate: true,
+    httpFetch: async () => htmlResponse(ARTICLE),
+    headers: {},
+    memory,
+    fetchFromContext: browser.fetchFromContext,
+  });
+
+  assert.equal(result.strategy, "http");
+  assert.equal(result.error, null);
+  assert.equal(result.html, undefined);
+  assert.match(result.content, /Static documentation/);
+  assert.equal(browser.calls.length, 0);
+  assert.equal(memory.get("docs.example").strategy, "http");
+});
+
+test("smartFetchUrl sends the profile's cookies with the HTTP attempt", async () => {
+  const browser = fakeBrowser();
+  let sent = null;
+  const result = await smartFetchUrl({
+    url: "https://docs.example/account",
+    truncate: true,
+    httpFetch: async (_url, opts) => {
+      sent = opts.headers;
+      return htmlResponse(ARTICLE);
+    },
+    headers: { "User-Agent": "test" },
+    getCookies: async (url) => {
+      assert.equal(url, "https://docs.example/account");
+      return [{ name: "sid", value: "abc" }, { name: "lang", value: "en" }];
+    },
+    fetchFromContext: browser.fetchFromContext,
+  });
+
+  assert.equal(result.strategy, "http");
+  assert.equal(sent.Cookie, "sid=abc; lang=en");
+  assert.equal(sent["User-Agent"], "test");
+});
+
+test("smartFetchUrl escalates JS-rendered pages and remembers the domain", async () => {
+  const browser = fakeBrowser();
+  const memory = createFetchStrategyMemory();
+  let httpCalls = 0;
+  const options = {
+    truncate: true,
+    httpFetch: async () => {
+      httpCalls += 1;
+      return htmlResponse(SPA);
+    },
+    headers: {},
+    memory,
+    fetchFromContext: browser.fetchFromContext,
+  };
+
+  const first = await smartFetchUrl({ ...options, url: "https://app.example/a" });
+  assert.equal(first.strategy, "browser");
+  assert.equal(first.escalation, "js-rendered");
+  assert.equal(first.content, "Rendered content");
+  assert.equal(typeof first.timings.httpMs, "number");
+
+  const second = await smartFetchUrl({ ...options, url: "https://app.example/b" });
+  assert.equal(second.strategy, "browser");
+  assert.equal(httpCalls, 1);
+  assert.deepEqual(browser.calls, ["https://app.example/a", "https://app.example/b"]);
+});
+
+test("smartFetchUrl escalates blocked responses but not missing pages", async () => {
+  const browser = fakeBrowser();
+  const blocked = await smartFetchUrl({
+    url: "https://shop.example/",
+    truncate: true,
+    httpFetch: async () => htmlResponse("denied", 403),
+    headers: {},
+    fetchFromContext: browser.fetchFromContext,
+  });
+  assert.equal(blocked.escalation, "blocked (HTTP 403)");
+
+  const missing = await smartFetchUrl({
+    url: "https://shop.example/missing",
+    truncate: true,
+    httpFetch: async () => htmlResponse("gone", 404),
+    headers: {},
+    fetchFromContext: browser.fetchFromContext,
+  });
+  assert.equal(missing.strategy, "http");
+  assert.equal(missing.errorCode, "HTTP_4XX");
+  assert.equal(browser.calls.length, 1);
+});
+
+test("smartFetchUrl honours forced modes", async () => {
+  const browser = fakeBrowser();
+  const httpFetch = async () => htmlResponse(SPA);
+
+  const viaHttp = await smartFetchUrl({ url: "https://app.example/", truncate: true, mode: "http", httpFetch, headers: {}, fetchFromContext: browser.fetchFromContext });
+  assert.equal(viaHttp.strategy, "http");
+
+  const viaBrowser = await smartFetchUrl({
+    url: "https://docs.example/",
+    truncate: true,
+    mode: "browser",
+    httpFetch: async () => assert.fail("HTTP should be skipped"),
+    headers: {},
+    fetchFromContext: browser.fetchFromContext,
+  });
+  assert.equal(viaBrowser.strategy, "browser");
+  assert.equal(viaBrowser.escalation, null);
+});
@@ -0,0 +1,30 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { canonicalizeUrl, getUrlFragment } from "../lib/url.js";
+
+test("canonicalizeUrl strips tracking params, fragment, www and trailing slash", () => {
+  assert.equal(
+    canonicalizeUrl("https://WWW.Example.com:443/docs/?utm_source=x&b=2&a=1&fbclid=abc#intro"),
+    "https://example.com/docs?a=1&b=2",
+  );
+});
+
+test("canonicalizeUrl treats equivalent links as equal", () => {
+  assert.equal(
+    canonicalizeUrl("https://example.com/page?srsltid=123"),
+    canonicalizeUrl("https://www.example.com/page/"),
+  );
+});
+
+test("canonicalizeUrl returns invalid input unchanged", () => {
+  assert.equal(canonicalizeUrl(" not a url "), "not a url");
+});
+
+test("getUrlFragment returns in-page anchors only", () => {
+  assert.equal(getUrlFragment("https://docs.example/page#config"), "config");
+  assert.equal(getUrlFragment("https://docs.example/page"), null);
+  assert.equal(getUrlFragment("https://docs.example/page#:~:text=hello"), null);
+  assert.equal(getUrlFragment("https://app.example/#/settings"), null);
+  assert.equal(getUrlFragment("not a url"), null);
+});
@@ -9,29 +9,67 @@
  *   ./web-browse.js --fetch 1,3,5        # fetch cached results by index
  *   ./web-browse.js --url <url>          # fetch a specific URL
  *   ./web-browse.js --url <url> --full   # fetch without truncation
+ *   ./web-browse.js "query" --json       # machine-readable output
  */
 
 import { spawn } from "node:child_process";
-import { searchWebFromContext } from "./lib/search.js";
+import { searchWebFromContext, resolveSearchEngines, normalizeSearchFilters } from "./lib/search.js";
 import { fetchUrlViaHttp } from "./lib/http-fetch.js";
 import { fetchUrlFromContext, fetchUrlsFromContext, cleanupContextPages } from "./lib/fetch.js";
 import { fetch as undiciFetch, Agent } from "undici";
 import { chromium } from "playwright";
 import { writeFileSync, readFileSync, existsSync, mkdtempSync, rmSync } from "fs";
 import { tmpdir, homedir } from "os";
-import { join } from "path";
-import { checkDaemonHealth, ensureDaemonRunning, sendDaemonCommand, stopDaemon } from "./lib/daemon-client.js";
+import { join, resolve as resolvePath } from "path";
+import {
+  cancelDaemonRequest,
+  checkDaemonHealth,
+  fetchDaemonMetrics,
+  listDaemonProfiles,
+  removeDaemonProfile,
+  ensureDaemonRunning,
+  resolveDaemonSocketPath,
+  sendDaemonCommand,
+  stopDaemon,
+  streamDaemonCommand,
+} from "./lib/daemon-client.js";
 import { fileURLToPath } from "node:url";
+import { canonicalizeUrl, getUrlFragment } from "./lib/url.js";
+import { formatMetadataHeader } from "./lib/metadata.js";
+import { toSearchOutput, toSearchJsonlRecords } from "./lib/search-output.js";
+import { toFetchRecord as toFetchRecordModule } from "./lib/fetch-output.js";
+import { mapWithConcurrency } from "./lib/pool.js";
 
 import { runWebBrowseDaemon } from "./lib/daemon.js";
+import { getDaemonTokenFile } from "./lib/daemon-auth.js";
+import { getPackageVersion, computeDaemonConfigHash } from "./lib/daemon-config.js";
+import { resolveBrowserBin } from "./lib/browser-bin.js";
+import { createContentCache, DEFAULT_CONTENT_CACHE_MAX_ENTRIES } from "./lib/content-cache.js";
+import { WebBrowseError, classifyError, exitCodeForError, exitCodeForResults } from "./lib/errors.js";
+import { browserEscalationReason, normalizeFetchMode, smartFetchUrl } from "./lib/smart-fetch.js";
+import { DEFAULT_CHUNK_TOKENS, paginateContent } from "./lib/chunk.js";
+import { buildOutline, extractSection, formatOutline } from "./lib/extract.js";
+import { focusContent } from "./lib/focus.js";
+import {
+  addToSearchHistory,
+  getSearchCacheFile,
+  isSameSearch,
+  resolveSessionId,
+  DEFAULT_HISTORY_SIZE,
+} from "./lib/search-history.js";
 import { startBrowserForCdp, killBrowserProcess, resolveCdpOptions as resolveCdpOptionsModule } from "./lib/cdp.js";
 import { platform } from "node:os";
 
 const IS_WINDOWS = platform() === "win32";
 
-const CACHE_FILE = join(tmpdir(), "web-browse-cache.json");
 const CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
 
+// Extracted page content, reused by --url/--fetch until the TTL expires (then revalidated).
+const contentCache = createContentCache({
+  ttlMs: (parseFloat(process.env.WEB_BROWSE_CONTENT_CACHE_TTL || "") || 30) * 60 * 1000,
+  maxEntries: parseInt(process.env.WEB_BROWSE_CONTENT_CACHE_SIZE || "", 10) || DEFAULT_CONTENT_CACHE_MAX_ENTRIES,
+});
+
 // Daemon: keep a persistent headless Brave+CDP session to avoid startup cost and
 // reduce bot-protection flakiness (JS challenges benefit from a warm session).
 const DAEMON_PORT = parseInt(
@@ -40,6 +78,7 @@ const DAEMON_PORT = parseInt(
 );
 const DAEMON_URL = `http://127.0.0.1:${DAEMON_PORT}`;
 const DAEMON_PID_FILE = join(tmpdir(), "web-browse-daemon.pid");
+const DAEMON_TOKEN_FILE = getDaemonTokenFile();
 
 // Force IPv4 to avoid timeout issues with some hosts (e.g., GitHub Pages)
 const agent = new Agent({ connect: { family: 4 } });
@@ -124,7 +163,33 @@ function getQuery() {
       arg !== getArg("--cdp-port") &&
       arg !== getArg("--stress") &&
       arg !== getArg("--daemon") &&
-      arg !== getArg("--browser-bin")
+      arg !== getArg("--browser-bin") &&
+      arg !== getArg("--engine") &&
+      arg !== getArg("--site") &&
+      arg !== getArg("--exclude-site") &&
+      arg !== getArg("--filetype") &&
+      arg !== getArg("--since") &&
+      arg !== getArg("--region") &&
+      arg !== getArg("--lang") &&
+      arg !== getArg("--page") &&
+      arg !== getArg("--concurrency") &&
+      arg !== getArg("--max-pages") &&
+      arg !== getArg("--idle-timeout") &&
+      arg !== getArg("--recycle-after") &&
+      arg !== getArg("--recycle-rss") &&
+      arg !== getArg("--audit-log") &&
+      arg !== getArg("--profile") &&
+      arg !== getArg("--cache") &&
+      arg !== getArg("--session") &&
+      arg !== getArg("--from-query") &&
+      arg !== getArg("--daemon-socket") &&
+      arg !== getArg("--fetch-mode") &&
+      arg !== getArg("--max-tokens") &&
+      arg !== getArg("--chunk") &&
+      arg !== getArg("--offset") &&
+      arg !== getArg("--section") &&
+      arg !== getArg("--focus") &&
+      arg !== getArg("--follow")
     ) {
       return arg;
     }
@@ -136,15 +201,55 @@ const numResults = parseInt(getArg("-n") || "5", 10);
 const fetchIndices = getArg("--fetch");
 const directUrl = getArg("--url");
 const fullContent = hasFlag("--full");
+const maxTokensArg = getArg("--max-tokens") ? Math.max(1, parseInt(getArg("--max-tokens"), 10) || DEFAULT_CHUNK_TOKENS) : null;
+const chunkArg = getArg("--chunk") ? Math.max(1, parseInt(getArg("--chunk"), 10) || 1) : null;
+const offsetArg = getArg("--offset") ? Math.max(0, parseInt(getArg("--offset"), 10) || 0) : null;
+const outlineMode = hasFlag("--outline");
+const sectionArg = getArg("--section"); // heading text or #anchor
+const focusArg = getArg("--focus"); // question to pick passages for (--fetch defaults to the search query)
+const noFocus = hasFlag("--no-focus");
+const linksMode = hasFlag("--links");
+const followIndices = getArg("--follow"); // numbers from the last --links listing
+// Paging and sections fetch the full page (cached once) and cut it locally.
+const pagingContent = Boolean(maxTokensArg || chunkArg || offsetArg !== null);
+const truncateContent = !fullContent && !pagingContent && !sectionArg;
+const fetchConcurrency = Math.max(1, parseInt(getArg("--concurrency") || "3", 10) || 3);
 const cdpStart = hasFlag("--cdp-start");
 const useCdp = hasFlag("--cdp") || cdpStart;
 const cdpPort = parseInt(getArg("--cdp-port") || (cdpStart ? "9225" : "9222"), 10);
 const cdpProfile = getArg("--cdp-profile") || join(homedir(), ".config", "web-browse-cdp-profile");
 const browserBinArg = getArg("--browser-bin");
+const browserProfile = getArg("--profile") || process.env.WEB_BROWSE_PROFILE || null; // named daemon profile
+const fetchMode = getArg("--fetch-mode") || process.env.WEB_BROWSE_FETCH_MODE || "auto"; // auto|http|browser
+const noContentCache = hasFlag("--no-cache");
+const refreshContent = hasFlag("--refresh");
+const contentCacheCommand = getArg("--cache"); // stats|clear
+const showHistory = hasFlag("--history");
+const fromQuery = getArg("--from-query") ? parseInt(getArg("--from-query"), 10) : null; // 1 = latest search
+
+// Search results are cached per session (see resolveSessionId) with a bounded history.
+const SESSION_ID = resolveSessionId({ sessionArg: getArg("--session") });
+const CACHE_FILE = getSearchCacheFile(SESSION_ID);
+const HISTORY_SIZE = parseInt(process.env.WEB_BROWSE_HISTORY_SIZE || "", 10) || DEFAULT_HISTORY_SIZE;
 const stressCount = parseInt(getArg("--stress") || "0", 10);
-const daemonCommand = getArg("--daemon"); // start|stop|status|restart
+const daemonCommand = getArg("--daemon"); // start|stop|status|restart|cancel|metrics|profiles
 const daemonRun = hasFlag("--daemon-run");
 const noDaemon = hasFlag("--no-daemon");
+const engineArg = getArg("--engine"); // comma-separated fallback order, e.g. google,ddg
+const mergeEngines = hasFlag("--merge");
+const searchFilterArgs = {
+  site: getArg("--site"),
+  excludeSite: getArg("--exclude-site"),
+  filetype: getArg("--filetype"),
+  since: getArg("--since"),
+  region: getArg("--region"),
+  lang: getArg("--lang"),
+};
+const pageArg = getArg("--page") ? Math.max(1, parseInt(getArg("--page"), 10) || 1) : null;
+const moreResults = hasFlag("--more");
+const jsonlOutput = hasFlag("--jsonl");
+const jsonOutput = hasFlag("--json") && !jsonlOutput;
+const includeFeatures = hasFlag("--features"); // SERP features in --json/--jsonl search output
 const query = getQuery();
 
 // --- Help ---
@@ -157,14 +262,76 @@ Usage:
   ./web-browse.js --fetch 1,3,5        # fetch cached results by index
   ./web-browse.js --url <url>          # fetch a specific URL (truncated)
   ./web-browse.js --url <url> --full   # fetch without truncation
+  ./web-browse.js --url <url> --max-tokens 2000   # first ~2000 tokens, split at headings/paragraphs
+  ./web-browse.js --url <url> --chunk 3           # page through a long page (chunk 3 of N, ~500 tokens each)
+  ./web-browse.js --url <url> --offset 12000      # chunk containing character 12000
+  ./web-browse.js --url <url> --outline           # heading tree with anchors and section sizes
+  ./web-browse.js --url <url> --section "Configuration"   # one section by heading text or "#anchor"
+  ./web-browse.js --url "https://docs.example/page#config"   # fragment URLs read just that section
+  ./web-browse.js --url <url> --focus "how do I configure retries"   # only the passages relevant to a question
+  ./web-browse.js --fetch 1,3 --no-focus   # --fetch focuses on the search query by default; this reads page starts
+  ./web-browse.js --url <url> --links      # numbered outbound links (no nav/footer), saved for --follow
+  ./web-browse.js --follow 7               # fetch link 7 of the last --links listing (add --links to keep crawling)
+  ./web-browse.js --fetch 1,2,3,4 --concurrency 4   # parallel tabs for --fetch (default: 3)
+  ./web-browse.js --url <url> --fetch-mode browser   # auto (default: HTTP first, browser if needed) | http | browser
+
+  # Machine-readable output (stdout only; progress goes to stderr)
+  ./web-browse.js "query" --json       # JSON array of {rank,title,link,snippet,engine,engines}
+  ./web-browse.js "query" --json --features   # {features,results}: adds featured snippet, People also ask, ...
+  ./web-browse.js "query" --jsonl      # one {"type":"result",...} per line ("type":"features" first with --features)
+  ./web-browse.js --fetch 1,3 --json   # JSON array of {url,finalUrl,title,content,error,timings,cached}
+  ./web-browse.js --fetch 1,3 --jsonl  # one JSON object per line
+
+  # Search history (per session: --session, WEB_BROWSE_SESSION, or the working directory)
+  ./web-browse.js --history                  # past queries, newest first
+  ./web-browse.js --fetch 3 --from-query 2   # result 3 of the second-newest search
+  ./web-browse.js --session agent-a "query"  # use a separate result cache
+
+  # Content cache (pages are reused for 30 min, then revalidated via ETag/Last-Modified)
+  ./web-browse.js --url <url> --refresh   # fetch again and update the cache
+  ./web-browse.js --url <url> --no-cache  # bypass the cache entirely
+  ./web-browse.js --cache stats|clear
+
+  # Search engines (comma-separated fallback order; default: google,ddg)
+  ./web-browse.js "query" --engine bing,ddg
+  ./web-browse.js "query" --engine searxng   # needs WEB_BROWSE_SEARXNG_URL
+  ./web-browse.js "query" --engine google,ddg,bing --merge   # query all, de-duplicate and rerank
+  Available: google, ddg (duckduckgo), bing, brave, searxng
+
+  # Search filters (translated per engine)
+  ./web-browse.js "query" --site docs.python.org,peps.python.org
+  ./web-browse.js "query" --exclude-site pinterest.com --filetype pdf
+  ./web-browse.js "query" --since day|week|month|year
+  ./web-browse.js "query" --region de --lang de
+
+  # Pagination (appends to the cached results, so --fetch keeps working)
+  ./web-browse.js --more               # next page of the last search
+  ./web-browse.js --page 3             # page 3 of the last search
+  ./web-browse.js "query" --page 2     # page 2 of a new search
 
   # Daemon (persistent headless browser session)
   ./web-browse.js --daemon start|stop|status|restart
+  ./web-browse.js --daemon cancel req-12   # cancel an in-flight request (ids listed by --daemon status)
+  ./web-browse.js --daemon metrics         # Prometheus metrics (latency, errors, bot protection, search fallbacks)
+  ./web-browse.js --daemon profiles        # list named profiles
+  ./web-browse.js --daemon profiles rm work   # delete a named profile's cookies/storage
+
+  # Named profiles (isolated cookies/logins per project, kept by the daemon)
+  ./web-browse.js --profile work "query"
+  ./web-browse.js --profile work --url https://example.com/account
   ./web-browse.js --no-daemon ...      # bypass daemon (one-shot mode)
+  ./web-browse.js --daemon start --max-pages 6   # max tabs open across concurrent requests (default: 4)
+  ./web-browse.js --daemon start --idle-timeout 30   # exit after 30 min without requests
+  ./web-browse.js --daemon start --recycle-after 200 --recycle-rss 1500   # restart browser after N commands / above N MB
+  ./web-browse.js --daemon start --audit-log ~/web-browse-audit.jsonl   # one JSON line per request
+  ./web-browse.js --daemon-socket auto ...   # talk to the daemon over a Unix socket / named pipe instead of TCP
 
   # Config
   ./web-browse.js --browser-bin <path> ...
   WEB_BROWSE_USER_AGENT="..." ./web-browse.js ...
+  WEB_BROWSE_ENGINES="bing,ddg" ./web-browse.js ...   # default engine order
+  WEB_BROWSE_DAEMON_SOCKET=auto ./web-browse.js ...   # same as --daemon-socket
+  WEB_BROWSE_FETCH_MODE=browser ./web-browse.js ...   # same as --fetch-mode
 
 Default behavior:
   Direct calls automatically start/use a local daemon that keeps a persistent headless Brave+CDP session.
@@ -177,34 +344,125 @@ Examples:
   ./web-browse.js --url https://example.com
   ./web-browse.js --no-daemon --url https://example.com
 
+Exit codes:
+  0 success, 1 other error, 2 INVALID_ARGUMENT, 3 some pages failed,
+  10 TIMEOUT, 11 DNS, 12 CONNECTION, 13 HTTP_4XX, 14 HTTP_5XX, 15 NOT_HTML,
+  16 BOT_BLOCKED, 17 SEARCH_BLOCKED, 18 BROWSER_LAUNCH, 19 CANCELLED
+
 Notes:
   ./search.js is kept as a wrapper for backwards compatibility.`);
   process.exit(0);
 }
 
 // --- Cache ---
-function saveCache(query, results) {
-  const cache = { query, timestamp: Date.now(), results };
-  writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
+function readCacheFile() {
+  if (!existsSync(CACHE_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(CACHE_FILE, "utf-8")) || {};
+  } catch {
+    return {};
+  }
+}
+
+function loadHistory() {
+  const data = readCacheFile();
+  return Array.isArray(data.history) ? data.history : [];
+}
+
+function saveCache(query, results, search = null) {
+  const entry = { query, timestamp: Date.now(), results, search };
+  const history = addToSearchHistory(loadHistory(), entry, HISTORY_SIZE);
+  writeFileSync(CACHE_FILE, JSON.stringify({ ...readCacheFile(), session: SESSION_ID, history }, null, 2));
+}
+
+// The numbered links of the last --links listing, for --follow.
+function loadLinks() {
+  const links = readCacheFile().links;
+  return Array.isArray(links?.items) && links.items.length > 0 ? links : null;
 }
 
+function saveLinks(items) {
+  const links = { timestamp: Date.now(), items };
+  writeFileSync(CACHE_FILE, JSON.stringify({ ...readCacheFile(), session: SESSION_ID, links }, null, 2));
+}
+
+/**
+ * Append a page of results to the cached list, skipping links that are already
+ * cached. Returns the 1-based cache index of every result so printed numbers
+ * line up with --fetch.
+ */
+function appendToCache(cache, results) {
+  const known = new Map(cache.results.map((result, i) => [canonicalizeUrl(result.link), i + 1]));
+
+  return results.map((result) => {
+    const key = canonicalizeUrl(result.link);
+    if (known.has(key)) return known.get(key);
+    cache.results.push(result);
+    known.set(key, cache.results.length);
+    return cache.results.length;
+  });
+}
+
+/**
+ * The search that --fetch/--more act on: the latest one (while it is younger
+ * than CACHE_TTL_MS), or the one picked from the history with --from-query N.
+ */
 function loadCache() {
-  if (!existsSync(CACHE_FILE)) return null;
-  try {
-    const cache = JSON.parse(readFileSync(CACHE_FILE, "utf-8"));
-    if (Date.now() - cache.timestamp > CACHE_TTL_MS) {
-      return null; // expired
+  const history = loadHistory();
+
+  if (fromQuery) {
+    const entry = history[fromQuery - 1];
+    if (!entry) {
+      throw new WebBrowseError("INVALID_ARGUMENT", `No search #${fromQuery} in history (${history.length} saved). See --history.`);
     }
-    return cache;
-  } catch {
-    return null;
+    return entry;
   }
+
+  const latest = history[0];
+  if (!latest || Date.now() - latest.timestamp > CACHE_TTL_MS) {
+    return null; // expired
+  }
+  return latest;
+}
+
+function printHistory(history) {
+  if (jsonOutput || jsonlOutput) {
+    printRecords(history.map((entry, i) => ({
+      index: i + 1,
+      query: entry.query,
+      results: entry.results.length,
+      timestamp: new Date(entry.timestamp).toISOString(),
+      engines: entry.search?.engines || null,
+    })));
+    return;
+  }
+
+  if (history.length === 0) {
+    console.log(`No searches yet in session ${SESSION_ID}.`);
+    return;
+  }
+
+  console.log(`Search history (session ${SESSION_ID}, newest first):\n`);
+  history.forEach((entry, i) => {
+    const ageMin = Math.round((Date.now() - entry.timestamp) / 60000);
+    console.log(`${String(i + 1).padStart(3)}. "${entry.query}" (${entry.results.length} results, ${ageMin} min ago)`);
+  });
+  console.log("\nUse --fetch <indices> --from-query <N> to open results of an older search.");
 }
 
 function getScriptPath() {
   return fileURLToPath(import.meta.url);
 }
 
+// Unix socket path / Windows named pipe for the daemon, or null to use TCP.
+const DAEMON_SOCKET = resolveDaemonSocketPath(getArg("--daemon-socket") || process.env.WEB_BROWSE_DAEMON_SOCKET);
+
+const DAEMON_CONNECTION = {
+  daemonUrl: DAEMON_URL,
+  daemonSocket: DAEMON_SOCKET,
+  daemonTokenFile: DAEMON_TOKEN_FILE,
+};
+
 function getDaemonForwardedArgs() {
   const forwarded = [];
 
@@ -215,29 +473,75 @@ function getDaemonForwardedArgs() {
   const explicitBrowserBin = getArg("--browser-bin");
   if (explicitBrowserBin) forwarded.push("--browser-bin", explicitBrowserBin);
 
+  for (const flag of ["--max-pages", "--idle-timeout", "--recycle-after", "--recycle-rss"]) {
+    const value = getArg(flag);
+    if (value) forwarded.push(flag, value);
+  }
+
+  if (DAEMON_SOCKET) forwarded.push("--daemon-socket", DAEMON_SOCKET);
+
+  const auditLog = getArg("--audit-log");
+  if (auditLog) forwarded.push("--audit-log", resolvePath(auditLog));
+
   return forwarded;
 }
 
+/**
+ * Version and config hash a daemon must report for this client to reuse it.
+ * The daemon computes the same values from the args it was started with.
+ */
+function getDaemonExpectedConfig() {
+  let browserBin = null;
+  try {
+    browserBin = resolveBrowserBin(browserBinArg);
+  } catch {
+    // ignore (the daemon reports the launch error itself)
+  }
+
+  return {
+    version: getPackageVersion(),
+    configHash: computeDaemonConfigHash({ browserBin, profileDir: cdpProfile, socket: DAEMON_SOCKET }),
+  };
+}
+
 async function daemonHealth(timeoutMs = 600) {
-  return await checkDaemonHealth({ daemonUrl: DAEMON_URL, timeoutMs });
+  return await checkDaemonHealth({ ...DAEMON_CONNECTION, timeoutMs });
 }
 
 async function daemonEnsureRunning() {
   return await ensureDaemonRunning({
+    ...DAEMON_CONNECTION,
     scriptPath: getScriptPath(),
-    daemonUrl: DAEMON_URL,
     daemonPidFile: DAEMON_PID_FILE,
     forwardedArgs: getDaemonForwardedArgs(),
     env: process.env,
+    expected: getDaemonExpectedConfig(),
   });
 }
 
 async function daemonStop() {
-  return await stopDaemon({ daemonUrl: DAEMON_URL, daemonPidFile: DAEMON_PID_FILE });
+  return await stopDaemon({ ...DAEMON_CONNECTION, daemonPidFile: DAEMON_PID_FILE });
+}
+
+async function daemonMetrics() {
+  return await fetchDaemonMetrics(DAEMON_CONNECTION);
+}
+
+async function daemonCancel(id) {
+  return await cancelDaemonRequest({ ...DAEMON_CONNECTION, id });
 }
 
 async function daemonSendCommand(command, payload) {
-  return await sendDaemonCommand({ daemonUrl: DAEMON_URL, command, payload });
+  return await sendDaemonCommand({ ...DAEMON_CONNECTION, command, payload: { ...payload, profile: browserProfile } });
+}
+
+async function daemonStreamCommand(command, payload, onResult) {
+  return await streamDaemonCommand({
+    ...DAEMON_CONNECTION,
+    command,
+    payload: { ...payload, profile: browserProfile },
+    onResult,
+  });
 }
 
 async function startBraveForCdp(preferredPort, profileDir, browserBin = null) {
@@ -257,6 +561,7 @@ async function searchWebOneShot(
   cdpPortValue = 9222,
   cdpAutoStart = false,
   cdpProfileValue = join(homedir(), ".config", "web-browse-cdp-profile"),
+  { engines = null, merge = false, filters = {}, page = 1 } = {},
 ) {
   const profileDir = mkdtempSync(join(tmpdir(), "web-browse-profile-"));
   const clampedNum = Math.max(1, Math.min(num, 20));
@@ -324,16 +629,20 @@ async function searchWebOneShot(
       });
     }
 
-    const results = await searchWebFromContext({
+    const output = await searchWebFromContext({
       context,
       httpFetch,
       headers: HEADERS,
       query,
       numResults: clampedNum,
+      engines,
+      merge,
+      filters,
+      page,
       log: (msg) => console.error(msg),
     });
 
-    return results.slice(0, clampedNum);
+    return { results: output.results.slice(0, clampedNum), features: output.features };
   } finally {
     if (context && cdpAutoStart) {
       const pages = context.pages();
@@ -428,20 +737,208 @@ async function withCdpBrowser(cdpOptions, cdpProfileValue, handler) {
 }
 
 
-async function fetchUrlWithCdp(url, truncate, cdpOptions, cdpProfileValue) {
-  return withCdpBrowser(cdpOptions, cdpProfileValue, async (context) => {
-    const result = await fetchUrlFromContext(context, url, truncate, FETCH_OPTS);
-    await cleanupContextPages(context);
-    return result;
+/**
+ * --no-daemon fetches: smartFetchUrl with the --fetch-mode for each URL, so
+ * "auto" tries plain HTTP first like the daemon does. The one-shot CDP browser
+ * starts with the first page that needs it and stays open until all are done.
+ * onResult(result, index) is called as each page finishes.
+ */
+async function fetchUrlsOneShot(urls, truncate, onResult) {
+  const mode = normalizeFetchMode(fetchMode);
+  let browserContext = null;
+  let browserClosed = Promise.resolve();
+  let releaseBrowser = () => {};
+
+  const getBrowserContext = () => {
+    browserContext ||= new Promise((resolve, reject) => {
+      const released = new Promise((release) => (releaseBrowser = release));
+      browserClosed = resolveCdpOptions(useCdp, cdpStart, cdpPort)
+        .then((cdpOptions) => withCdpBrowser(cdpOptions, cdpProfile, async (context) => {
+          resolve(context);
+          await released;
+          await cleanupContextPages(context);
+        }))
+        .catch(reject);
+    });
+    return browserContext;
+  };
+
+  try {
+    await mapWithConcurrency(urls, fetchConcurrency, async (url, index) => {
+      const result = await smartFetchUrl({
+        context: null,
+        url,
+        truncate,
+        mode,
+        httpFetch,
+        headers: HEADERS,
+        fetchFromContext: async (_context, ...args) => fetchUrlFromContext(await getBrowserContext(), ...args),
+        fetchOpts: FETCH_OPTS,
+        log: (msg) => console.error(msg),
+      });
+      onResult(result, index);
+    });
+  } finally {
+    releaseBrowser();
+    await browserClosed;
+  }
+}
+
+// --- Page fetching (content cache + daemon / CDP / HTTP) ---
+function contentCacheOptions(truncate = truncateContent) {
+  return { truncate, profile: browserProfile };
+}
+
+/**
+ * Return the cached copy of url if it is fresh, or stale but confirmed
+ * unchanged by a conditional request (ETag / Last-Modified). A changed page
+ * comes back from that same request and is returned as a fresh result.
+ */
+async function readContentCache(url, { truncate = truncateContent } = {}) {
+  if (noContentCache || refreshContent) return null;
+
+  const cached = contentCache.get(url, contentCacheOptions(truncate));
+  if (!cached) return null;
+
+  const { entry } = cached;
+  if (!cached.fresh) {
+    if (!entry.validators) return null;
+
+    const { html, ...check } = await fetchUrlViaHttp(httpFetch, HEADERS, url, truncate, {
+      validators: entry.validators,
+      keepHtml: true,
+    });
+    // A changed page came back in full: use it (fetchPages stores it) unless it needs a browser.
+    if (!check.notModified) {
+      return check.error || browserEscalationReason({ ...check, html }) ? null : { ...check, strategy: "http" };
+    }
+    contentCache.touch(url, contentCacheOptions(truncate), entry);
+  }
+
+  const ageMin = Math.round((Date.now() - entry.storedAt) / 60000);
+  console.error(`Using cached copy of ${url} (fetched ${ageMin} min ago${cached.fresh ? "" : ", revalidated"})`);
+  return { ...entry.result, error: null, timings: null, cached: true };
+}
+
+/**
+ * Cut a fetched page down to what was asked for: the --section (or the one a
+ * #fragment URL points at), then the passages matching focus or else the
+ * --max-tokens/--chunk/--offset chunk. Pages fetched in full only for this
+ * get the default first chunk, so the full page can stay in the content cache.
+ */
+function shapeContent(result, url, fetchedFull, focus = null) {
+  if (result.error) return result;
+  let shaped = result;
+
+  const fragment = getUrlFragment(url);
+  const target = sectionArg || (fragment ? `#${fragment}` : null);
+  if (target) {
+    const section = extractSection(result.content, result.outline || buildOutline(result.content), target);
+    if (section) {
+      shaped = { ...result, content: section.content, section: { heading: section.text, anchor: section.anchor } };
+    } else if (sectionArg) {
+      return { ...result, content: "", error: `no section matching "${sectionArg}" (see --outline)` };
+    } else {
+      console.error(`No section for #${fragment} on ${url}; showing the whole page.`);
+    }
+  }
+
+  if (!fetchedFull || (fullContent && !pagingContent)) return shaped;
+
+  // --chunk/--offset ask for a specific part of the page, so they win over focus.
+  if (focus && !fullContent && chunkArg === null && offsetArg === null) {
+    const focused = focusContent(shaped.content, focus, { maxTokens: maxTokensArg || DEFAULT_CHUNK_TOKENS });
+    if (focused) {
+      const marker = `[... ${focused.shown} of ${focused.total} passages, picked for "${focus}"; `
+        + "page from the start: --chunk 1, everything: --full ...]";
+      return {
+        ...shaped,
+        content: `${focused.content}\n\n${marker}`,
+        focus: { query: focus, passages: focused.shown, total: focused.total },
+      };
+    }
+    console.error(`Nothing on ${url} matches "${focus}"; showing the start of the page.`);
+  }
+
+  const page = paginateContent(shaped.content, {
+    maxTokens: maxTokensArg || DEFAULT_CHUNK_TOKENS,
+    chunk: chunkArg,
+    offset: offsetArg,
+  });
+  return {
+    ...shaped,
+    content: page.content,
+    chunk: { index: page.chunk, total: page.total, maxTokens: page.maxTokens, offset: page.offset },
+    error: page.error,
+  };
+}
+
+/**
+ * With --links, number a page's links, continuing from pages listed before
+ * (in the order they finish, which is also the order they are printed).
+ */
+const listedLinks = [];
+function numberLinks(result) {
+  if (!linksMode || result.error) return result;
+
+  const links = (result.links || []).map((link) => {
+    listedLinks.push({ url: link.url, text: link.text, from: result.url });
+    return { index: listedLinks.length, url: link.url, text: link.text };
   });
+  return { ...result, links };
 }
 
-async function fetchUrlsWithCdp(urls, truncate, cdpOptions, cdpProfileValue) {
-  return withCdpBrowser(cdpOptions, cdpProfileValue, async (context) => {
-    const results = await fetchUrlsFromContext(context, urls, truncate, FETCH_OPTS);
-    await cleanupContextPages(context);
-    return results;
+/**
+ * Fetch pages from the content cache where possible and the rest via the
+ * daemon (or in one shot with --no-daemon, honoring --fetch-mode). onResult(result, index) is
+ * called as each page becomes available; resolves to results in input order.
+ * With focus, each page is reduced to the passages most relevant to it.
+ */
+async function fetchPages(urls, onResult = () => {}, { focus = null } = {}) {
+  // Focus and #fragment sections are cut from the full page.
+  const truncate = truncateContent && !focus && !urls.some((url) => getUrlFragment(url));
+  const results = new Array(urls.length);
+  const pending = [];
+
+  const finish = (index, result) => {
+    if (!noContentCache && !result.cached && !result.error) {
+      contentCache.set(urls[index], contentCacheOptions(truncate), result);
+    }
+    results[index] = numberLinks(shapeContent(result, urls[index], !truncate, focus));
+    onResult(results[index], index);
+  };
+
+  await mapWithConcurrency(urls, fetchConcurrency, async (url, index) => {
+    const cached = await readContentCache(url, { truncate });
+    if (cached) {
+      finish(index, cached);
+    } else {
+      pending.push(index);
+    }
   });
+
+  if (pending.length === 0) return results;
+
+  pending.sort((a, b) => a - b);
+  const pendingUrls = pending.map((index) => urls[index]);
+  const onFresh = (result, i) => finish(pending[i], result);
+
+  if (!noDaemon) {
+    await daemonEnsureRunning();
+    if (pendingUrls.length === 1) {
+      onFresh(await daemonSendCommand("fetch", { url: pendingUrls[0], truncate, mode: fetchMode }), 0);
+    } else {
+      await daemonStreamCommand(
+        "fetchMany",
+        { urls: pendingUrls, truncate, mode: fetchMode, concurrency: fetchConcurrency },
+        onFresh,
+      );
+    }
+  } else {
+    await fetchUrlsOneShot(pendingUrls, truncate, onFresh);
+  }
+
+  return results;
 }
 
 async function runDaemon() {
@@ -450,10 +947,15 @@ async function runDaemon() {
     10,
   );
 
+  const idleTimeoutMinutes = parseFloat(getArg("--idle-timeout") || process.env.WEB_BROWSE_DAEMON_IDLE_TIMEOUT || "0") || 0;
+  const recycleRssMb = parseInt(getArg("--recycle-rss") || process.env.WEB_BROWSE_DAEMON_RECYCLE_RSS_MB || "0", 10) || 0;
+
   await runWebBrowseDaemon({
     daemonPort: DAEMON_PORT,
     daemonUrl: DAEMON_URL,
     daemonPidFile: DAEMON_PID_FILE,
+    daemonTokenFile: DAEMON_TOKEN_FILE,
+    daemonSocket: DAEMON_SOCKET,
     preferredCdpPort,
     cdpProfile,
     browserBinArg,
@@ -467,33 +969,114 @@ async function runDaemon() {
     cleanupContextPages,
     fetchOpts: FETCH_OPTS,
     spawnedBrowserProcessGroupPids: spawnedBraveProcessGroupPids,
+    maxPages: parseInt(getArg("--max-pages") || process.env.WEB_BROWSE_DAEMON_MAX_PAGES || "4", 10) || 4,
+    idleTimeoutMs: idleTimeoutMinutes * 60 * 1000,
+    recycleAfterRequests: parseInt(getArg("--recycle-after") || process.env.WEB_BROWSE_DAEMON_RECYCLE_AFTER || "0", 10) || 0,
+    recycleRssBytes: recycleRssMb * 1024 * 1024,
+    ...getDaemonExpectedConfig(),
+    auditLogFile: getArg("--audit-log") || process.env.WEB_BROWSE_AUDIT_LOG || null,
   });
 }
 
 // --- Output Formatting ---
-function printSearchResults(results) {
+function printSearchResults(results, ranks = results.map((_, i) => i + 1)) {
   console.log("=".repeat(70) + "\n");
   results.forEach((result, i) => {
-    console.log(`## ${i + 1}. ${result.title}`);
+    console.log(`## ${ranks[i]}. ${result.title}`);
     console.log(`URL: ${result.link}`);
+    if (result.engines) console.log(`Engines: ${result.engines.join(", ")}`);
     console.log(`${result.snippet || "(no snippet)"}\n`);
     console.log("=".repeat(70) + "\n");
   });
-  console.log(`💡 Use --fetch 1,2,3 to fetch specific results`);
+  console.log(`💡 Use --fetch 1,2,3 to fetch specific results, or --more for the next page`);
+}
+
+function printSearchFeatures(features) {
+  const { featuredSnippet, peopleAlsoAsk = [], knowledgePanel, relatedSearches = [] } = features;
+
+  if (featuredSnippet) {
+    console.log(`📌 Featured snippet: ${featuredSnippet.text}`);
+    if (featuredSnippet.link) console.log(`   Source: ${featuredSnippet.title || featuredSnippet.link} (${featuredSnippet.link})`);
+    console.log("");
+  }
+
+  if (knowledgePanel) {
+    const subtitle = knowledgePanel.subtitle ? ` (${knowledgePanel.subtitle})` : "";
+    console.log(`📚 ${knowledgePanel.title}${subtitle}`);
+    if (knowledgePanel.description) console.log(`   ${knowledgePanel.description}`);
+    for (const fact of knowledgePanel.facts) console.log(`   ${fact.label}: ${fact.value}`);
+    if (knowledgePanel.source) console.log(`   Source: ${knowledgePanel.source}`);
+    console.log("");
+  }
+
+  if (peopleAlsoAsk.length > 0) {
+    console.log("❓ People also ask:");
+    for (const question of peopleAlsoAsk) console.log(`   - ${question}`);
+    console.log("");
+  }
+
+  if (relatedSearches.length > 0) {
+    console.log(`🔎 Related searches: ${relatedSearches.join(" · ")}\n`);
+  }
+}
+
+function toFetchRecord(result) {
+  return toFetchRecordModule(result, { outline: outlineMode, links: linksMode });
+}
+
+function printRecords(records) {
+  if (jsonlOutput) {
+    for (const record of records) console.log(JSON.stringify(record));
+    return;
+  }
+  console.log(JSON.stringify(records, null, 2));
+}
+
+function escapeTableCell(text) {
+  return String(text || "").replace(/\|/g, "\\|");
+}
+
+function printLinks(links) {
+  if (links.length === 0) {
+    console.log("(no links outside the page's navigation)");
+    return;
+  }
+  console.log("| # | Link text | URL |");
+  console.log("|---|-----------|-----|");
+  for (const link of links) console.log(`| ${link.index} | ${escapeTableCell(link.text) || "(no text)"} | ${link.url} |`);
+}
+
+function printFollowHint() {
+  if (!linksMode || listedLinks.length === 0) return;
+  const range = listedLinks.length === 1 ? "1" : `1-${listedLinks.length}`;
+  console.log(`💡 Use --follow <n> (${range}) to fetch a link (add --links to keep navigating)`);
+}
+
+function printFetchedResult(result) {
+  console.log(`## ${result.title || result.url}`);
+  console.log(`URL: ${result.url}`);
+  const header = formatMetadataHeader(result.metadata, result.url, result.finalUrl);
+  if (header) console.log(header);
+  if (result.section) {
+    console.log(`Section: ${result.section.heading}${result.section.anchor ? ` (#${result.section.anchor})` : ""}`);
+  }
+  console.log("");
+  if (result.error) {
+    console.log(`❌ Error [${result.errorCode || classifyError(result.error)}]: ${result.error}`);
+  } else if (outlineMode) {
+    console.log(`Outline (use --section "<heading>" or "#anchor" to read one):\n`);
+    console.log(formatOutline(result.outline || buildOutline(result.content)));
+  } else if (linksMode) {
+    printLinks(result.links);
+  } else {
+    console.log(result.content);
+  }
+  console.log("\n" + "=".repeat(70) + "\n");
 }
 
 function printFetchedContent(results) {
   console.log("=".repeat(70) + "\n");
-  results.forEach((result, i) => {
-    console.log(`## ${result.title || result.url}`);
-    console.log(`URL: ${result.url}\n`);
-    if (result.error) {
-      console.log(`❌ Error: ${result.error}`);
-    } else {
-      console.log(result.content);
-    }
-    console.log("\n" + "=".repeat(70) + "\n");
-  });
+  results.forEach(printFetchedResult);
 }
 
 // --- Main ---
@@ -533,27 +1116,102 @@ async function main() {
       return;
     }
 
-    console.error(`Unknown --daemon command: ${daemonCommand} (expected: start|stop|status|restart)`);
-    process.exit(1);
+    if (cmd === "profiles") {
+      await daemonEnsureRunning();
+      const action = args[args.indexOf("--daemon") + 2];
+
+      if (action === "rm") {
+        const name = args[args.indexOf("--daemon") + 3];
+        if (!name) {
+          throw new WebBrowseError("INVALID_ARGUMENT", "Usage: --daemon profiles rm <name>");
+        }
+        const result = await removeDaemonProfile({ ...DAEMON_CONNECTION, name });
+        console.log(JSON.stringify({ status: result.removed ? "removed" : "not found", profile: result.name }, null, 2));
+        return;
+      }
+
+      const profiles = await listDaemonProfiles(DAEMON_CONNECTION);
+      console.log(JSON.stringify({ profiles }, null, 2));
+      return;
+    }
+
+    if (cmd === "metrics") {
+      process.stdout.write(await daemonMetrics());
+      return;
+    }
+
+    if (cmd === "cancel") {
+      const id = args[args.indexOf("--daemon") + 2];
+      if (!id) {
+        throw new WebBrowseError("INVALID_ARGUMENT", "Usage: --daemon cancel <request-id> (see --daemon status)");
+      }
+      const cancelled = await daemonCancel(id);
+      console.log(JSON.stringify({ status: "cancelled", request: cancelled }, null, 2));
+      return;
+    }
+
+    throw new WebBrowseError("INVALID_ARGUMENT", `Unknown --daemon command: ${daemonCommand} (expected: start|stop|status|restart|cancel|metrics|profiles)`);
   }
 
-  // Mode 1: Fetch specific URL
-  if (directUrl) {
-    console.error(`Fetching: ${directUrl}\n`);
+  if (showHistory) {
+    printHistory(loadHistory());
+    return;
+  }
 
-    let result;
+  // Content cache management
+  if (contentCacheCommand) {
+    const cmd = String(contentCacheCommand).toLowerCase();
 
-    if (!noDaemon) {
-      await daemonEnsureRunning();
-      result = await daemonSendCommand("fetch", { url: directUrl, truncate: !fullContent });
+    if (cmd === "stats") {
+      console.log(JSON.stringify(contentCache.stats(), null, 2));
+      return;
+    }
+
+    if (cmd === "clear") {
+      const removed = contentCache.clear();
+      console.log(JSON.stringify({ status: "cleared", removed }, null, 2));
+      return;
+    }
+
+    throw new WebBrowseError("INVALID_ARGUMENT", `Unknown --cache command: ${contentCacheCommand} (expected: stats|clear)`);
+  }
+
+  if (noDaemon && browserProfile) {
+    console.error("--profile needs the daemon; ignoring it with --no-daemon.");
+  }
+  normalizeFetchMode(fetchMode);
+
+  // Mode 1: Fetch specific URLs (--url, or --follow N from the last --links listing)
+  if (directUrl || followIndices) {
+    let urls = [directUrl];
+
+    if (followIndices) {
+      const saved = loadLinks();
+      if (!saved) {
+        console.error("No saved links. List a page's links first with --url <url> --links.");
+        process.exit(1);
+      }
+
+      const picked = followIndices.split(",").map((s) => saved.items[parseInt(s.trim(), 10) - 1]).filter(Boolean);
+      if (picked.length === 0) {
+        throw new WebBrowseError("INVALID_ARGUMENT", `Invalid link numbers. The last listing has ${saved.items.length} links (1-${saved.items.length}).`);
+      }
+      urls = picked.map((link) => link.url);
+      console.error(`Following ${urls.length} link(s):\n${urls.map((url) => `  ${url}`).join("\n")}\n`);
     } else {
-      const cdpOptions = await resolveCdpOptions(useCdp, cdpStart, cdpPort);
-      result = cdpOptions.useCdp
-        ? await fetchUrlWithCdp(directUrl, !fullContent, cdpOptions, cdpProfile)
-        : await fetchUrlViaHttp(httpFetch, HEADERS, directUrl, !fullContent);
+      console.error(`Fetching: ${directUrl}\n`);
     }
 
-    printFetchedContent([result]);
+    const results = await fetchPages(urls, undefined, { focus: noFocus ? null : focusArg });
+    if (linksMode) saveLinks(listedLinks);
+
+    if (jsonOutput || jsonlOutput) {
+      printRecords(results.map(toFetchRecord));
+    } else {
+      printFetchedContent(results);
+      printFollowHint();
+    }
+    process.exitCode = exitCodeForResults(results);
     return;
   }
 
@@ -571,54 +1229,95 @@ async function main() {
       .map(i => cache.results[i]);
 
     if (toFetch.length === 0) {
-      console.error(`Invalid indices. Cache has ${cache.results.length} results (1-${cache.results.length}).`);
-      process.exit(1);
+      throw new WebBrowseError("INVALID_ARGUMENT", `Invalid indices. Cache has ${cache.results.length} results (1-${cache.results.length}).`);
     }
 
-    console.error(`Fetching ${toFetch.length} page(s)...\n`);
+    // Read the pages with the search query in mind unless told otherwise.
+    const focus = noFocus || fullContent ? null : focusArg || cache.query;
+    console.error(focus
+      ? `Fetching ${toFetch.length} page(s), focused on "${focus}" (--no-focus for the page start)...\n`
+      : `Fetching ${toFetch.length} page(s)...\n`);
+
+    if (jsonOutput) {
+      const results = await fetchPages(toFetch.map((item) => item.link), undefined, { focus });
+      if (linksMode) saveLinks(listedLinks);
+      printRecords(results.map(toFetchRecord));
+      process.exitCode = exitCodeForResults(results);
+      return;
+    }
 
-    let results;
+    // Print each page as soon as it is ready (completion order).
+    if (!jsonlOutput) console.log("=".repeat(70) + "\n");
+    const results = await fetchPages(toFetch.map((item) => item.link), (result) => {
+      if (jsonlOutput) {
+        printRecords([toFetchRecord(result)]);
+      } else {
+        printFetchedResult(result);
+      }
+    }, { focus });
+    if (linksMode) saveLinks(listedLinks);
+    if (!jsonlOutput) printFollowHint();
+    process.exitCode = exitCodeForResults(results);
+    return;
+  }
 
-    if (!noDaemon) {
-      await daemonEnsureRunning();
-      results = await daemonSendCommand("fetchMany", { urls: toFetch.map((item) => item.link), truncate: !fullContent });
+  // Mode 3: Search (a new query, or another page of the cached one)
+  if (query || moreResults || pageArg) {
+    let searchQuery = query;
+    let search;
+    let cache = loadCache();
+
+    if (query) {
+      // Validate early so typos fail before a browser/daemon is started.
+      search = {
+        numResults,
+        engines: resolveSearchEngines(engineArg).map((engine) => engine.name),
+        merge: mergeEngines,
+        filters: normalizeSearchFilters(searchFilterArgs),
+        page: 1,
+      };
+      if (!isSameSearch(cache, searchQuery, search)) cache = null;
     } else {
-      const cdpOptions = await resolveCdpOptions(useCdp, cdpStart, cdpPort);
-      results = cdpOptions.useCdp
-        ? await fetchUrlsWithCdp(toFetch.map((item) => item.link), !fullContent, cdpOptions, cdpProfile)
-        : await Promise.all(toFetch.map((item) => fetchUrlViaHttp(httpFetch, HEADERS, item.link, !fullContent)));
+      if (!cache?.search) {
+        console.error("No cached search to continue. Run a search first.");
+        process.exit(1);
+      }
+      searchQuery = cache.query;
+      search = { ...cache.search };
     }
 
-    printFetchedContent(results);
-    return;
-  }
+    if (pageArg) search.page = pageArg;
+    else if (moreResults) search.page = (cache?.search?.page || 1) + 1;
+
+    const { page, ...searchOptions } = search;
 
-  // Mode 3: Search
-  if (query) {
     const attemptSearch = async () => {
       if (!noDaemon) {
         await daemonEnsureRunning();
-        return await daemonSendCommand("search", { query, numResults });
+        const data = await daemonSendCommand("search", { query: searchQuery, ...searchOptions, page });
+        // Daemons started before SERP features existed return a bare result list.
+        return Array.isArray(data) ? { results: data, features: null } : data;
       }
 
       const cdpOptions = await resolveCdpOptions(useCdp, cdpStart, cdpPort);
       return await searchWebOneShot(
-        query,
-        numResults,
+        searchQuery,
+        searchOptions.numResults,
         cdpOptions.useCdp,
         cdpOptions.cdpPort,
         cdpOptions.cdpStart,
         cdpProfile,
+        { engines: searchOptions.engines, merge: searchOptions.merge, filters: searchOptions.filters, page },
       );
     };
 
     if (stressCount > 0) {
-      console.error(`Stress mode: ${stressCount} searches for "${query}"\n`);
+      console.error(`Stress mode: ${stressCount} searches for "${searchQuery}"\n`);
       let successCount = 0;
 
       for (let i = 0; i < stressCount; i += 1) {
         console.error(`Run ${i + 1}/${stressCount}`);
-        const results = await attemptSearch();
+        const { results } = await attemptSearch();
         if (results.length > 0) {
           successCount += 1;
         }
@@ -628,24 +1327,40 @@ async function main() {
       process.exit(0);
     }
 
-    console.error(`Searching: "${query}"\n`);
-    const results = await attemptSearch();
+    console.error(page > 1 ? `Searching: "${searchQuery}" (page ${page})\n` : `Searching: "${searchQuery}"\n`);
+    const { results, features, errors = [] } = await attemptSearch();
+    // No results because every engine failed (blocked, timed out, ...) is an error.
+    if (results.length === 0 && errors.length > 0) process.exitCode = exitCodeForError(errors[0].code);
+
+    let ranks = results.map((_, i) => i + 1);
+    if (results.length > 0) {
+      const updated = cache || { query: searchQuery, results: [] };
+      ranks = appendToCache(updated, results);
+      saveCache(searchQuery, updated.results, { ...searchOptions, page: Math.max(page, cache?.search?.page || 1) });
+    }
+
+    if (jsonOutput || jsonlOutput) {
+      if (jsonlOutput) printRecords(toSearchJsonlRecords(results, ranks, features, { includeFeatures }));
+      else console.log(JSON.stringify(toSearchOutput(results, ranks, features, { includeFeatures }), null, 2));
+      return;
+    }
+
+    if (features) printSearchFeatures(features);
 
     if (results.length === 0) {
       console.log("No results found.");
-      process.exit(0);
+      return;
     }
 
-    saveCache(query, results);
-    printSearchResults(results);
+    printSearchResults(results, ranks);
     return;
   }
 
-  console.error("No query provided. Use --help for usage.");
-  process.exit(1);
+  throw new WebBrowseError("INVALID_ARGUMENT", "No query provided. Use --help for usage.");
 }
 
 main().catch(err => {
-  console.error(`Error: ${err.message}`);
-  process.exit(1);
+  const code = classifyError(err);
+  console.error(`Error [${code}]: ${err.message}`);
+  process.exit(exitCodeForError(code));
 });